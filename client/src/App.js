@@ -3,8 +3,9 @@ import Register from './components/Register';
 import Login from './components/Login';
 import Chat from './components/Chat';
 import SecurityLogs from './components/SecurityLogs';
+import Settings from './components/Settings';
 import { hasIdentityKeys, validateIdentityKeys, clearAllKeys } from './utils/storage';
-import { getAuthToken, clearAuthToken } from './utils/api';
+import { getAuthToken, clearAuthToken, logout } from './utils/api';
 import './App.css';
 
 function App() {
@@ -54,7 +55,17 @@ function App() {
     setView('chat');
   }
 
-  function handleLogout() {
+  async function handleLogout() {
+    // Revoke the session server-side; ignore failures (e.g. already expired)
+    if (getAuthToken()) {
+      try {
+        await logout();
+      } catch (err) {
+        console.warn('Server logout failed:', err.message);
+      }
+    }
+    
+    clearAuthToken();
     localStorage.clear();
     setCurrentUser(null);
     setView('login');
@@ -103,6 +114,7 @@ function App() {
           currentUser={currentUser}
           onLogout={handleLogout}
           onViewSecurityLogs={() => setView('security')}
+          onViewSettings={() => setView('settings')}
         />
       )}
       
@@ -112,6 +124,13 @@ function App() {
           onSessionExpired={handleLogout}
         />
       )}
+      
+      {view === 'settings' && currentUser && (
+        <Settings 
+          onBack={() => setView('chat')}
+          onForgetDevice={handleLogout}
+        />
+      )}
     </div>
   );
 }
@@ -1,17 +1,24 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import { 
   getUsers, 
-  getUserPublicKey, 
-  sendMessage as sendMessageAPI, 
-  getMessages 
+  getConversationMessages,
+  getConversations,
+  markConversationRead,
+  markMessageDelivered,
+  syncEvents,
+  getAuthToken,
+  refreshAccessToken
 } from '../utils/api';
-import { getMessageKey } from '../utils/keyExchange';
-import { encryptMessage, decryptMessage, decryptFile } from '../utils/crypto';
+import { getMessageKey, encryptForPeer } from '../utils/keyExchange';
+import { decryptFile } from '../utils/crypto';
+import { processInboundMessage, getFileDecryptionOptions, INBOUND_SOURCE } from '../utils/inbound';
+import { publishPrekeys } from '../utils/prekeys';
 import { useKeyExchange } from '../hooks/useKeyExchange';
-import { clearAllKeys, getNextSequenceNumber, validateSequenceNumber } from '../utils/storage';
-import { logSecurityEvent, EVENT_TYPES } from '../utils/securityLogger';
+import { useOutbox } from '../hooks/useOutbox';
+import { clearSessionState, cacheMessagePlaintext } from '../utils/storage';
 import FileUpload from './FileUpload';
+import SessionsPanel from './SessionsPanel';
 import { 
   Search, 
   UserCircle, 
@@ -24,12 +31,68 @@ import {
   Loader2,
   Lock,
   AlertCircle,
-  CheckCheck
+  Check,
+  CheckCheck,
+  Clock,
+  MonitorSmartphone,
+  Settings as SettingsIcon
 } from 'lucide-react';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+// Send "typing" at most this often, and "stopped typing" after this much idle time
+const TYPING_THROTTLE = 3000;
+const TYPING_IDLE = 4000;
+// Hide a peer's typing indicator if no refresh arrives in time
+const TYPING_EXPIRY = 6000;
 
-function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
+/**
+ * "Last seen" label for a peer's presence
+ */
+function formatLastSeen(lastSeen) {
+  const date = new Date(lastSeen);
+  const isToday = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  
+  return isToday
+    ? `last seen today at ${time}`
+    : `last seen ${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} at ${time}`;
+}
+
+/**
+ * Identity of a timeline entry: its conversation and server-assigned sequence number
+ * Entries stored before sequences were assigned fall back to their ID
+ */
+function timelineKey(message) {
+  if (!message.conversationSeq) return message._id;
+  const conversationId = [message.senderId, message.recipientId].sort().join(':');
+  return `${conversationId}#${message.conversationSeq}`;
+}
+
+/**
+ * Order a conversation by server sequence, falling back to time for older entries
+ */
+function compareMessages(a, b) {
+  if (a.conversationSeq && b.conversationSeq) return a.conversationSeq - b.conversationSeq;
+  return new Date(a.timestamp) - new Date(b.timestamp);
+}
+
+/**
+ * Append a live or synced message to the timeline unless it is already shown
+ */
+function appendMessage(existing, message) {
+  const key = timelineKey(message);
+  return existing.some(m => timelineKey(m) === key) ? existing : [...existing, message];
+}
+
+/**
+ * Prepend a page of history to the timeline, skipping messages already shown
+ */
+function mergeMessages(page, existing) {
+  const seen = new Set(existing.map(timelineKey).filter(Boolean));
+  return [...page.filter(m => !seen.has(timelineKey(m))), ...existing];
+}
+
+function Chat({ currentUser, onLogout, onViewSecurityLogs, onViewSettings }) {
   const [users, setUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -40,9 +103,29 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
   const [downloadingFiles, setDownloadingFiles] = useState({});
   const [userSearchQuery, setUserSearchQuery] = useState('');
   const [messageSearchQuery, setMessageSearchQuery] = useState('');
+  const [showSessions, setShowSessions] = useState(false);
+  // Pagination state per peer: { nextCursor, hasMore, loading }
+  const [history, setHistory] = useState({});
+  // Activity per peer: { lastActivity, lastMessageId, unreadCount }
+  const [conversations, setConversations] = useState({});
+  const [isPageVisible, setIsPageVisible] = useState(document.visibilityState === 'visible');
+  // Peer presence: { online, lastSeen }, and peers currently typing to us
+  const [presence, setPresence] = useState({});
+  const [typingPeers, setTypingPeers] = useState({});
+  // connecting | connected | reconnecting | syncing
+  const [connectionState, setConnectionState] = useState('connecting');
   const socketRef = useRef(null);
   const messagesEndRef = useRef(null);
-  const { initiate, complete } = useKeyExchange();
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const typingRef = useRef({ peerId: null, sentAt: 0, stopTimer: null });
+  const typingExpiryRef = useRef({});
+  // Sync position up to which every event has been processed, positions processed past it
+  // (live events can arrive out of order), and event IDs already handled (live and sync can overlap)
+  const syncCursorRef = useRef(null);
+  const syncAheadRef = useRef(new Set());
+  const processedEventsRef = useRef(new Set());
+  const { complete } = useKeyExchange();
 
   const loadUsers = useCallback(async () => {
     try {
@@ -53,222 +136,358 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
     }
   }, [currentUser.userId]);
 
-  const loadMessages = useCallback(async () => {
+  const loadConversations = useCallback(async () => {
     try {
-      const messagesList = await getMessages();
-      
-      // Decrypt historical messages
-      const decryptedMessages = await Promise.all(messagesList.map(async (msg) => {
-        try {
-          // Determine if we're the sender or recipient
-          const isSender = msg.senderId === currentUser.userId;
-          
-          // If we're the sender, we can't decrypt our own sent messages
-          // (they were encrypted for the recipient)
-          if (isSender) {
-            return { ...msg, plaintext: '[Sent]', decrypted: false };
-          }
-          
-          const otherUserId = msg.senderId;
-          
-          // Try to get session key from storage first
-          let sessionKey = await getMessageKey(msg.keyId);
-          
-          // If we don't have the key and there's ephemeral data, derive it
-          if (!sessionKey && msg.ephemeralPublicKey && msg.headerData && msg.signature) {
-            try {
-              // Get sender's public key
-              const userData = await getUserPublicKey(otherUserId);
-              
-              // Verify we have valid key data
-              if (!userData || !userData.publicKey) {
-                console.warn('Missing public key for sender:', otherUserId);
-                return { ...msg, plaintext: '[Missing sender key]', decrypted: false };
-              }
-              
-              // Complete key exchange to derive session key
-              const keyExchangeResult = await complete(
-                currentUser.userId,
-                msg.senderId,
-                msg.ephemeralPublicKey,
-                msg.headerData,
-                msg.signature
-              );
-              sessionKey = keyExchangeResult.sessionKey;
-            } catch (keyExchangeErr) {
-              console.error('Key exchange failed for message:', msg._id, keyExchangeErr);
-              // Log key exchange failure
-              await logSecurityEvent(
-                EVENT_TYPES.KEY_EXCHANGE_FAILURE,
-                `Key exchange failed with ${msg.senderId}`,
-                { messageId: msg._id, error: keyExchangeErr.message }
-              );
-              return { ...msg, plaintext: '[Key exchange failed]', decrypted: false, error: keyExchangeErr.message };
-            }
-          }
-          
-          // Decrypt if we have the session key
-          if (sessionKey) {
-            try {
-              const plaintext = await decryptMessage(sessionKey, msg.ciphertext, msg.iv);
-              return { ...msg, plaintext, decrypted: true };
-            } catch (decryptErr) {
-              console.error('Decryption failed for message:', msg._id, decryptErr);
-              // Log decryption failure
-              await logSecurityEvent(
-                EVENT_TYPES.DECRYPTION_FAILURE,
-                `Failed to decrypt message from ${msg.senderId}`,
-                { messageId: msg._id, error: decryptErr.message }
-              );
-              return { ...msg, plaintext: '[Decryption failed]', decrypted: false, error: decryptErr.message };
-            }
-          }
-          
-          return { ...msg, plaintext: '[Encrypted]', decrypted: false };
-        } catch (err) {
-          console.error('Failed to process message:', err);
-          return { ...msg, plaintext: '[Processing failed]', decrypted: false, error: err.message };
+      const conversationList = await getConversations();
+      setConversations(Object.fromEntries(conversationList.map(c => [c.peerId, c])));
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+    }
+  }, []);
+
+  // Record new activity with a peer so the contact list reorders and counts update live
+  const bumpConversation = useCallback((peerId, { timestamp, messageId, unread = false }) => {
+    setConversations(prev => {
+      const current = prev[peerId] || { peerId, unreadCount: 0 };
+      return {
+        ...prev,
+        [peerId]: {
+          ...current,
+          lastActivity: timestamp || new Date().toISOString(),
+          lastMessageId: messageId || current.lastMessageId,
+          unreadCount: current.unreadCount + (unread ? 1 : 0)
         }
+      };
+    });
+  }, []);
+
+  // Show a queued item in the timeline once the server has stored it
+  const handleOutboxSent = useCallback((item, result) => {
+    const sentMessage = {
+      senderId: currentUser.userId,
+      recipientId: item.recipientId,
+      conversationSeq: result.conversationSeq,
+      timestamp: result.timestamp || new Date().toISOString(),
+      delivered: false,
+      read: false
+    };
+    
+    if (item.type === 'file') {
+      setMessages(prev => appendMessage(prev, {
+        ...sentMessage,
+        _id: result.fileId || `outbox-${item.id}`,
+        isFile: true,
+        filename: item.payload.filename,
+        plaintext: `📎 ${item.payload.filename}`,
+        decrypted: true
       }));
+    } else {
+      // Keep our own text for history, which can't decrypt messages we sent
+      if (item.label !== undefined && result.messageId) {
+        cacheMessagePlaintext(result.messageId, item.label).catch(err => console.error('Failed to cache sent message:', err));
+      }
       
-      setMessages(decryptedMessages);
+      // Without the in-memory label (page reloaded while queued) the text is unknown, as in history
+      setMessages(prev => appendMessage(prev, {
+        ...sentMessage,
+        _id: result.messageId || `outbox-${item.id}`,
+        plaintext: item.label ?? '[Sent]',
+        decrypted: item.label !== undefined
+      }));
+    }
+    
+    bumpConversation(item.recipientId, { timestamp: sentMessage.timestamp, messageId: result.messageId });
+  }, [currentUser.userId, bumpConversation]);
+
+  const {
+    items: outboxItems,
+    enqueue: enqueueOutgoing,
+    retry: retryOutgoing,
+    cancel: cancelOutgoing,
+    resume: resumeOutbox
+  } = useOutbox({ onSent: handleOutboxSent });
+
+  // Verify and decrypt one message from the conversation history
+  const decryptHistoryMessage = useCallback(async (msg) => {
+    try {
+      return await processInboundMessage(msg, { userId: currentUser.userId, source: INBOUND_SOURCE.HISTORY });
     } catch (err) {
-      console.error('Failed to load messages:', err);
-      setError('Failed to load messages');
+      console.error('Failed to process message:', err);
+      return { ...msg, plaintext: '[Processing failed]', decrypted: false, error: err.message };
     }
-  }, [currentUser.userId, complete]);
+  }, [currentUser.userId]);
 
-  const handleIncomingMessage = useCallback(async (data) => {
+  // Load the newest page of a conversation, or the page before `before`
+  const loadConversationPage = useCallback(async (peerId, before) => {
+    setHistory(prev => ({ ...prev, [peerId]: { ...prev[peerId], loading: true } }));
+    
     try {
-      // Validate sequence number to prevent replay attacks
-      if (data.sequenceNumber) {
-        const isValid = await validateSequenceNumber(data.senderId, data.sequenceNumber);
-        if (!isValid) {
-          console.error('Replay attack detected - ignoring message');
-          // Log replay attack detection
-          await logSecurityEvent(
-            EVENT_TYPES.REPLAY_ATTACK,
-            `Replay attack detected from ${data.senderId}`,
-            { sequenceNumber: data.sequenceNumber, keyId: data.keyId }
-          );
-          setError('⚠️ Replay attack detected - message rejected');
-          setTimeout(() => setError(''), 5000);
-          return;
-        }
+      const page = await getConversationMessages(peerId, { before });
+      // One at a time, oldest first, so the first copy of a replayed message is the one accepted
+      const decryptedMessages = [];
+      for (const msg of page.messages) {
+        decryptedMessages.push(await decryptHistoryMessage(msg));
       }
       
-      // If we don't have the session key, complete key exchange
-      let sessionKey = await getMessageKey(data.keyId);
-      
-      if (!sessionKey && data.ephemeralPublicKey) {
-        try {
-          const keyExchangeResult = await complete(
-            currentUser.userId,
-            data.senderId,
-            data.ephemeralPublicKey,
-            data.headerData,
-            data.signature
-          );
-          sessionKey = keyExchangeResult.sessionKey;
-          // Log successful key exchange
-          await logSecurityEvent(
-            EVENT_TYPES.KEY_EXCHANGE_SUCCESS,
-            `Key exchange completed with ${data.senderId}`,
-            { keyId: data.keyId }
-          );
-        } catch (keyExchangeErr) {
-          console.error('Key exchange failed:', keyExchangeErr);
-          // Log key exchange failure
-          await logSecurityEvent(
-            EVENT_TYPES.KEY_EXCHANGE_FAILURE,
-            `Key exchange failed with ${data.senderId}`,
-            { error: keyExchangeErr.message }
-          );
-          throw keyExchangeErr;
-        }
+      // Remember the distance from the bottom so prepending doesn't move the viewport
+      const container = messagesContainerRef.current;
+      if (before && container) {
+        scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
       }
       
-      // Decrypt message
-      const plaintext = await decryptMessage(
-        sessionKey,
-        data.ciphertext,
-        data.iv
-      );
-      
-      const decryptedMessage = {
-        ...data,
-        plaintext,
-        decrypted: true
-      };
-      
-      setMessages(prev => [...prev, decryptedMessage]);
+      setMessages(prev => mergeMessages(decryptedMessages, prev));
+      setHistory(prev => ({
+        ...prev,
+        [peerId]: { nextCursor: page.nextCursor, hasMore: page.hasMore, loading: false }
+      }));
     } catch (err) {
-      console.error('Failed to decrypt message:', err);
-      // Log decryption failure
-      await logSecurityEvent(
-        EVENT_TYPES.DECRYPTION_FAILURE,
-        `Failed to decrypt incoming message from ${data.senderId}`,
-        { keyId: data.keyId, error: err.message }
-      );
-      const failedMessage = {
-        ...data,
-        plaintext: '[Decryption failed]',
-        decrypted: false,
-        error: err.message
-      };
-      setMessages(prev => [...prev, failedMessage]);
+      console.error('Failed to load messages:', err);
+      setError('Failed to load messages');
+      setHistory(prev => ({ ...prev, [peerId]: { ...prev[peerId], loading: false } }));
     }
-  }, [currentUser.userId, complete]);
+  }, [decryptHistoryMessage]);
 
-  const handleIncomingFile = useCallback(async (data) => {
+  // Move the sync cursor to `position` (if further) and over any contiguous positions already processed
+  // Positions have no gaps, so the cursor never passes an event that has not arrived yet
+  const advanceSyncCursor = useCallback((position) => {
+    const ahead = syncAheadRef.current;
+    if (position > syncCursorRef.current) {
+      syncCursorRef.current = position;
+    }
+    while (ahead.has(syncCursorRef.current + 1)) {
+      syncCursorRef.current += 1;
+    }
+    ahead.forEach(seq => {
+      if (seq <= syncCursorRef.current) ahead.delete(seq);
+    });
+  }, []);
+
+  // Returns false if the event was already processed, otherwise records it and advances the cursor
+  const markEventProcessed = useCallback((eventId, syncSeq) => {
+    if (processedEventsRef.current.has(eventId)) return false;
+    
+    processedEventsRef.current.add(eventId);
+    if (Number.isInteger(syncSeq)) {
+      syncAheadRef.current.add(syncSeq);
+      if (syncCursorRef.current !== null) advanceSyncCursor(syncCursorRef.current);
+    }
+    return true;
+  }, [advanceSyncCursor]);
+
+  const handleIncomingMessage = useCallback(async (data, source = INBOUND_SOURCE.LIVE) => {
+    if (!markEventProcessed(data.messageId, data.syncSeq)) return;
+    
+    const message = { ...data, _id: data.messageId };
+    let entry;
+    
     try {
-      console.log('Received file notification:', data);
+      entry = await processInboundMessage(message, { userId: currentUser.userId, source });
+    } catch (err) {
+      console.error('Failed to process incoming message:', err);
+      entry = { ...message, plaintext: '[Processing failed]', decrypted: false, error: err.message };
+    }
+    
+    setMessages(prev => appendMessage(prev, entry));
+    
+    if (entry.rejected) {
+      setError(`⚠️ Message rejected: ${entry.error}`);
+      setTimeout(() => setError(''), 5000);
+      return;
+    }
+    
+    bumpConversation(data.senderId, { timestamp: data.timestamp, messageId: data.messageId, unread: true });
+    setTypingPeers(prev => ({ ...prev, [data.senderId]: false }));
+    markMessageDelivered(data.messageId).catch(err => console.error('Failed to send delivery receipt:', err));
+  }, [currentUser.userId, bumpConversation, markEventProcessed]);
+
+  const handleIncomingFile = useCallback(async (data, source = INBOUND_SOURCE.LIVE) => {
+    if (!markEventProcessed(data.fileId, data.syncSeq)) return;
+    
+    // Timeline shape of a file (the encrypted fields are kept for download)
+    const fileMessage = {
+      _id: data.fileId,
+      senderId: data.uploaderId,
+      recipientId: data.recipientId,
+      filename: data.filename,
+      mimeType: data.mimeType,
+      size: data.size,
+      ciphertext: data.ciphertext,
+      iv: data.iv,
+      chunks: data.chunks,
+      keyId: data.keyId,
+      ephemeralPublicKey: data.ephemeralPublicKey,
+      signature: data.signature,
+      headerData: data.headerData,
+      envelopeVersion: data.envelopeVersion,
+      contentType: data.contentType,
+      senderSeq: data.senderSeq,
+      envelopeSignature: data.envelopeSignature,
+      conversationSeq: data.conversationSeq,
+      timestamp: data.timestamp,
+      isFile: true
+    };
+    let entry;
+    
+    try {
+      entry = await processInboundMessage(fileMessage, { userId: currentUser.userId, source });
+    } catch (err) {
+      console.error('Failed to process incoming file:', err);
+      entry = { ...fileMessage, plaintext: '[Processing failed]', decrypted: false, error: err.message };
+    }
+    
+    setMessages(prev => appendMessage(prev, entry));
+    
+    if (entry.rejected) {
+      setError(`⚠️ File rejected: ${entry.error}`);
+      setTimeout(() => setError(''), 5000);
+      return;
+    }
+    
+    bumpConversation(data.uploaderId, { timestamp: data.timestamp, unread: true });
+  }, [currentUser.userId, bumpConversation, markEventProcessed]);
+
+  // Replay events missed while disconnected through the live handlers
+  const syncMissedEvents = useCallback(async () => {
+    // First connection: only learn where the event stream currently ends
+    if (syncCursorRef.current === null) {
+      const { cursor } = await syncEvents();
+      syncCursorRef.current = cursor;
+      advanceSyncCursor(cursor);
+      return;
+    }
+    
+    let hasMore = true;
+    while (hasMore) {
+      const page = await syncEvents(syncCursorRef.current);
       
-      // Add file as a special message type
-      const fileMessage = {
-        _id: data.fileId,
-        senderId: data.uploaderId,
-        recipientId: data.recipientId,
-        filename: data.filename,
-        mimeType: data.mimeType,
-        size: data.size,
-        ciphertext: data.ciphertext,
-        iv: data.iv,
-        keyId: data.keyId,
-        ephemeralPublicKey: data.ephemeralPublicKey,
-        signature: data.signature,
-        headerData: data.headerData,
-        timestamp: data.timestamp,
-        isFile: true,
-        plaintext: `📎 ${data.filename}`,
-        decrypted: true
-      };
+      for (const event of page.events) {
+        if (event.type === 'message') {
+          await handleIncomingMessage(event.data, INBOUND_SOURCE.SYNC);
+        } else if (event.type === 'file') {
+          await handleIncomingFile(event.data, INBOUND_SOURCE.SYNC);
+        }
+      }
       
-      setMessages(prev => [...prev, fileMessage]);
-    } catch (err) {
-      console.error('Failed to handle incoming file:', err);
+      // The page covers every position up to its cursor, including events it skipped
+      advanceSyncCursor(page.cursor);
+      hasMore = page.hasMore;
     }
-  }, []);
+  }, [handleIncomingMessage, handleIncomingFile, advanceSyncCursor]);
 
   useEffect(() => {
     loadUsers();
-    loadMessages();
+    loadConversations();
     
-    // Connect to Socket.io
-    socketRef.current = io(SOCKET_URL);
-    socketRef.current.emit('join', currentUser.userId);
+    // Connect to Socket.io, authenticating during the handshake
+    // The callback form picks up refreshed tokens on reconnect
+    const socket = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: getAuthToken() })
+    });
+    socketRef.current = socket;
     
-    socketRef.current.on('message', handleIncomingMessage);
-    socketRef.current.on('file', handleIncomingFile);
+    socket.on('connect_error', async (err) => {
+      // Access token expired: refresh once and reconnect, otherwise stay disconnected
+      if (err.message === 'Unauthorized' && await refreshAccessToken() && socketRef.current === socket) {
+        socket.connect();
+      }
+    });
     
-    return () => {
-      if (socketRef.current) {
-        socketRef.current.disconnect();
+    socket.on('message', (data) => handleIncomingMessage(data));
+    socket.on('file', (data) => handleIncomingFile(data));
+    socket.on('receipt', ({ status, messageIds }) => {
+      const ids = new Set(messageIds);
+      setMessages(prev => prev.map(m => ids.has(m._id)
+        ? { ...m, delivered: true, read: m.read || status === 'read' }
+        : m
+      ));
+    });
+    socket.on('connect', async () => {
+      socket.emit('get_presence', (peers) => {
+        setPresence(Object.fromEntries(peers.map(p => [p.userId, p])));
+      });
+      
+      resumeOutbox();
+      
+      // Rotate the signed prekey and top up one-time prekeys so others can start sessions
+      publishPrekeys().catch(err => console.error('Failed to publish prekeys:', err));
+      
+      setConnectionState(prev => prev === 'connecting' ? prev : 'syncing');
+      try {
+        await syncMissedEvents();
+      } catch (err) {
+        console.error('Failed to sync missed messages:', err);
       }
+      setConnectionState('connected');
+    });
+    socket.on('disconnect', (reason) => {
+      // Disconnected by the server: socket.io won't retry on its own
+      if (reason === 'io server disconnect') {
+        socket.connect();
+      }
+      setConnectionState('reconnecting');
+    });
+    socket.on('presence', (peer) => {
+      setPresence(prev => ({ ...prev, [peer.userId]: peer }));
+    });
+    socket.on('typing', ({ userId, isTyping }) => {
+      clearTimeout(typingExpiryRef.current[userId]);
+      setTypingPeers(prev => ({ ...prev, [userId]: isTyping }));
+      
+      if (isTyping) {
+        typingExpiryRef.current[userId] = setTimeout(() => {
+          setTypingPeers(prev => ({ ...prev, [userId]: false }));
+        }, TYPING_EXPIRY);
+      }
+    });
+    socket.on('conversation_read', ({ peerId }) => {
+      // Read on another of our devices
+      setConversations(prev => prev[peerId] ? { ...prev, [peerId]: { ...prev[peerId], unreadCount: 0 } } : prev);
+    });
+    
+    const typingExpiry = typingExpiryRef.current;
+    
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+      Object.values(typingExpiry).forEach(clearTimeout);
     };
-  }, [currentUser.userId, loadUsers, loadMessages, handleIncomingMessage, handleIncomingFile]);
+  }, [currentUser.userId, loadUsers, loadConversations, handleIncomingMessage, handleIncomingFile, syncMissedEvents, resumeOutbox]);
 
+  // Fetch the newest page the first time a conversation is opened
   useEffect(() => {
+    if (selectedUser && !history[selectedUser._id]) {
+      loadConversationPage(selectedUser._id);
+    }
+  }, [selectedUser, history, loadConversationPage]);
+
+  useEffect(() => {
+    function handleVisibilityChange() {
+      setIsPageVisible(document.visibilityState === 'visible');
+    }
+    
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Opening a conversation (or receiving into the open one) marks it read, while the page is visible
+  const selectedUnreadCount = selectedUser ? conversations[selectedUser._id]?.unreadCount : 0;
+  useEffect(() => {
+    if (!selectedUser || !selectedUnreadCount || !isPageVisible) return;
+    
+    const peerId = selectedUser._id;
+    setConversations(prev => ({ ...prev, [peerId]: { ...prev[peerId], unreadCount: 0 } }));
+    markConversationRead(peerId).catch(err => console.error('Failed to mark conversation read:', err));
+  }, [selectedUser, selectedUnreadCount, isPageVisible]);
+
+  useLayoutEffect(() => {
+    // An older page was prepended: keep the same messages in view
+    const container = messagesContainerRef.current;
+    if (scrollAnchorRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+      return;
+    }
+    
     scrollToBottom();
   }, [messages]);
 
@@ -276,12 +495,23 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }
 
+  // Load older messages when scrolled near the top
+  function handleMessagesScroll(e) {
+    const conversation = selectedUser && history[selectedUser._id];
+    if (e.currentTarget.scrollTop > 50 || !conversation?.hasMore || conversation.loading) return;
+    
+    loadConversationPage(selectedUser._id, conversation.nextCursor);
+  }
+
   async function handleFileDownload(fileMessage) {
     const fileId = fileMessage._id;
     setDownloadingFiles(prev => ({ ...prev, [fileId]: true }));
     setError('');
 
     try {
+      // Check the envelope before deriving any keys from it
+      const decryptOptions = await getFileDecryptionOptions(fileMessage, currentUser.userId);
+      
       // Get session key for decryption
       let sessionKey = await getMessageKey(fileMessage.keyId);
 
@@ -292,7 +522,8 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
           fileMessage.senderId,
           fileMessage.ephemeralPublicKey,
           fileMessage.headerData,
-          fileMessage.signature
+          fileMessage.signature,
+          { keyId: fileMessage.keyId, storedAt: fileMessage.timestamp }
         );
         sessionKey = keyExchangeResult.sessionKey;
       }
@@ -301,11 +532,12 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
         throw new Error('Session key not found');
       }
 
-      // Decrypt file
+      // Decrypt file (freshness is checked against when the server stored it, not its age now)
       const decryptedData = await decryptFile(
         sessionKey,
         fileMessage.ciphertext,
-        fileMessage.iv
+        fileMessage.iv,
+        decryptOptions
       );
 
       // Create blob and download
@@ -327,75 +559,89 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
     }
   }
 
+  // Tell the peer we stopped typing (if we told them we started)
+  function stopTyping() {
+    const typing = typingRef.current;
+    clearTimeout(typing.stopTimer);
+    
+    if (typing.peerId) {
+      socketRef.current?.emit('typing', { peerId: typing.peerId, isTyping: false });
+    }
+    typingRef.current = { peerId: null, sentAt: 0, stopTimer: null };
+  }
+
+  function handleMessageInput(e) {
+    setNewMessage(e.target.value);
+    if (!selectedUser || !socketRef.current) return;
+    
+    const typing = typingRef.current;
+    if (typing.peerId && typing.peerId !== selectedUser._id) {
+      stopTyping();
+    }
+    
+    const now = Date.now();
+    if (now - typingRef.current.sentAt > TYPING_THROTTLE) {
+      socketRef.current.emit('typing', { peerId: selectedUser._id, isTyping: true });
+      typingRef.current.peerId = selectedUser._id;
+      typingRef.current.sentAt = now;
+    }
+    
+    clearTimeout(typingRef.current.stopTimer);
+    typingRef.current.stopTimer = setTimeout(stopTyping, TYPING_IDLE);
+  }
+
   async function sendMessage() {
     if (!newMessage.trim() || !selectedUser) return;
     
+    stopTyping();
     setLoading(true);
     setError('');
     
+    const text = newMessage;
+    
     try {
-      // Initiate key exchange and get session key
-      const keyExchange = await initiate(
-        currentUser.userId,
-        selectedUser._id
-      );
-      
-      // Encrypt message
-      const encrypted = await encryptMessage(keyExchange.sessionKey, newMessage);
-      
-      // Get next sequence number for this conversation
-      const sequenceNumber = await getNextSequenceNumber(selectedUser._id);
+      // Encrypt with the Double Ratchet session for this peer (started on first use)
+      const encrypted = await encryptForPeer(currentUser.userId, selectedUser._id, text);
       
-      // Send to server
       const messageData = {
-        senderId: currentUser.userId,
         recipientId: selectedUser._id,
-        ciphertext: encrypted.ciphertext,
-        iv: encrypted.iv,
-        keyId: keyExchange.keyId,
-        ephemeralPublicKey: keyExchange.ephemeralPublicKey,
-        headerData: keyExchange.headerData,
-        signature: keyExchange.signature,
-        sequenceNumber: sequenceNumber
+        ...encrypted
       };
       
-      await sendMessageAPI(messageData);
-      
-      // Add to local messages
-      setMessages(prev => [...prev, {
-        senderId: currentUser.userId,
-        recipientId: selectedUser._id,
-        plaintext: newMessage,
-        timestamp: new Date(),
-        decrypted: true
-      }]);
-      
-      // Emit via socket for real-time delivery
-      socketRef.current.emit('message', messageData);
-      
+      // Queue locally; the outbox sends it now, or once the connection is back
+      await enqueueOutgoing('message', messageData, text);
       setNewMessage('');
     } catch (err) {
-      setError('Failed to send message: ' + err.message);
+      // Keep the typed text so nothing is lost
+      setError('Failed to encrypt message: ' + err.message);
     } finally {
       setLoading(false);
     }
   }
 
   async function handleLogout() {
-    await clearAllKeys();
+    await clearSessionState();
     onLogout();
   }
 
-  const filteredMessages = messages.filter(
-    m => 
-      (m.senderId === currentUser.userId && m.recipientId === selectedUser?._id) ||
-      (m.senderId === selectedUser?._id && m.recipientId === currentUser.userId)
-  );
+  const filteredMessages = messages
+    .filter(
+      m => 
+        (m.senderId === currentUser.userId && m.recipientId === selectedUser?._id) ||
+        (m.senderId === selectedUser?._id && m.recipientId === currentUser.userId)
+    )
+    .sort(compareMessages);
 
-  // Filter users by search query
-  const filteredUsers = users.filter(user =>
-    user.username.toLowerCase().includes(userSearchQuery.toLowerCase())
-  );
+  // Filter users by search query, most recent conversation first
+  const filteredUsers = users
+    .filter(user => user.username.toLowerCase().includes(userSearchQuery.toLowerCase()))
+    .sort((a, b) => {
+      const aActivity = conversations[a._id]?.lastActivity;
+      const bActivity = conversations[b._id]?.lastActivity;
+      if (aActivity && bActivity) return new Date(bActivity) - new Date(aActivity);
+      if (aActivity || bActivity) return aActivity ? -1 : 1;
+      return a.username.localeCompare(b.username);
+    });
 
   // Filter messages by search query (only if there's a search query)
   const searchFilteredMessages = messageSearchQuery.trim()
@@ -473,6 +719,22 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                   <ShieldCheck className="h-4 w-4 text-white" />
                 </button>
               )}
+              {onViewSettings && (
+                <button 
+                  onClick={onViewSettings} 
+                  className="p-2 bg-white/10 hover:bg-white/20 rounded-md transition-colors"
+                  title="Settings"
+                >
+                  <SettingsIcon className="h-4 w-4 text-white" />
+                </button>
+              )}
+              <button 
+                onClick={() => setShowSessions(true)} 
+                className="p-2 bg-white/10 hover:bg-white/20 rounded-md transition-colors"
+                title="Active Devices"
+              >
+                <MonitorSmartphone className="h-4 w-4 text-white" />
+              </button>
               <button 
                 onClick={handleLogout} 
                 className="p-2 bg-white/10 hover:bg-white/20 rounded-md transition-colors"
@@ -534,14 +796,24 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                   }`}>
                     {user.username[0].toUpperCase()}
                   </div>
+                  {presence[user._id]?.online && (
+                    <span className="absolute bottom-0 right-0 w-3.5 h-3.5 bg-green-500 border-2 border-card rounded-full" title="Online" />
+                  )}
                 </div>
                 <div className="flex-1 min-w-0 text-left">
-                  <p className="font-medium text-card-foreground truncate">{user.username}</p>
+                  <p className={`text-card-foreground truncate ${
+                    conversations[user._id]?.unreadCount ? 'font-semibold' : 'font-medium'
+                  }`}>{user.username}</p>
                   <p className="text-xs text-muted-foreground flex items-center gap-1 truncate">
                     <Lock className="h-3 w-3 flex-shrink-0" />
                     {user.keyFingerprint.substring(0, 12)}...
                   </p>
                 </div>
+                {conversations[user._id]?.unreadCount > 0 && (
+                  <span className="flex-shrink-0 min-w-[1.25rem] h-5 px-1.5 bg-instagram-gradient text-white text-xs font-semibold rounded-full flex items-center justify-center">
+                    {conversations[user._id].unreadCount > 99 ? '99+' : conversations[user._id].unreadCount}
+                  </span>
+                )}
               </button>
             ))}
             {filteredUsers.length === 0 && (
@@ -555,6 +827,16 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
       
       {/* Main Chat Area */}
       <div className="flex-1 flex flex-col bg-background">
+        {/* Connection State Banner */}
+        {(connectionState === 'reconnecting' || connectionState === 'syncing') && (
+          <div className="flex items-center justify-center gap-2 px-4 py-2 bg-yellow-500/20 border-b border-border text-yellow-600 text-sm">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            <span>
+              {connectionState === 'syncing' ? 'Syncing missed messages…' : 'Connection lost. Reconnecting…'}
+            </span>
+          </div>
+        )}
+        
         {selectedUser ? (
           <>
             {/* Chat Header */}
@@ -568,6 +850,13 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                   <p className="text-xs text-muted-foreground flex items-center gap-1">
                     <ShieldCheck className="h-3 w-3 text-green-500" />
                     End-to-end encrypted
+                    {typingPeers[selectedUser._id] ? (
+                      <span className="italic text-primary">· typing…</span>
+                    ) : presence[selectedUser._id]?.online ? (
+                      <span className="text-green-600">· online</span>
+                    ) : presence[selectedUser._id]?.lastSeen ? (
+                      <span>· {formatLastSeen(presence[selectedUser._id].lastSeen)}</span>
+                    ) : null}
                   </p>
                 </div>
               </div>
@@ -594,7 +883,17 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
             </div>
             
             {/* Messages Container */}
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+            <div
+              ref={messagesContainerRef}
+              onScroll={handleMessagesScroll}
+              className="flex-1 overflow-y-auto p-4 space-y-4"
+            >
+              {history[selectedUser._id]?.loading && (
+                <div className="flex justify-center py-2 text-muted-foreground">
+                  <Loader2 className="h-5 w-5 animate-spin" />
+                </div>
+              )}
+              
               {messageSearchQuery && searchFilteredMessages.length === 0 && (
                 <div className="text-center py-8 text-muted-foreground text-sm">
                   No messages found matching "{messageSearchQuery}"
@@ -617,7 +916,7 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                 
                 return (
                   <div
-                    key={idx}
+                    key={msg._id || idx}
                     className={`flex ${isSent ? 'justify-end' : 'justify-start'} group`}
                   >
                     <div className={`max-w-[70%] ${isSent ? 'items-end' : 'items-start'} flex flex-col gap-1`}>
@@ -626,8 +925,11 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                         className={`relative px-4 py-2.5 ${
                           isSent
                             ? 'bg-instagram-gradient text-white rounded-3xl rounded-br-md'
-                            : 'bg-muted text-card-foreground rounded-3xl rounded-bl-md'
+                            : msg.rejected
+                              ? 'bg-destructive/10 text-destructive border border-destructive/30 rounded-3xl rounded-bl-md'
+                              : 'bg-muted text-card-foreground rounded-3xl rounded-bl-md'
                         } shadow-sm transition-all group-hover:shadow-md`}
+                        title={msg.rejected ? 'This message failed a security check and is not shown' : undefined}
                       >
                         <p className="text-sm break-words leading-relaxed">
                           {msg.plaintext || '[Encrypted]'}
@@ -640,7 +942,7 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                           </div>
                         )}
                         
-                        {msg.isFile && msg.senderId !== currentUser.userId && (
+                        {msg.isFile && msg.decrypted && msg.senderId !== currentUser.userId && (
                           <button 
                             className={`mt-2 flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
                               isSent
@@ -690,8 +992,17 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                           <Lock className="h-3 w-3 text-muted-foreground/70" />
                         )}
                         
-                        {isSent && msg.decrypted && (
-                          <CheckCheck className="h-3.5 w-3.5 text-blue-500" />
+                        {/* Sent / delivered / read */}
+                        {isSent && !msg.isFile && (
+                          <span title={msg.read ? 'Read' : msg.delivered ? 'Delivered' : 'Sent'}>
+                            {msg.read ? (
+                              <CheckCheck className="h-3.5 w-3.5 text-blue-500" />
+                            ) : msg.delivered ? (
+                              <CheckCheck className="h-3.5 w-3.5 text-muted-foreground/70" />
+                            ) : (
+                              <Check className="h-3.5 w-3.5 text-muted-foreground/70" />
+                            )}
+                          </span>
                         )}
                       </div>
                     </div>
@@ -699,6 +1010,47 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                 );
               })}
               
+              {/* Outgoing items still in the outbox */}
+              {outboxItems.filter(item => item.recipientId === selectedUser._id).map(item => (
+                <div key={item.id} className="flex justify-end">
+                  <div className="max-w-[70%] items-end flex flex-col gap-1">
+                    <div className="px-4 py-2.5 bg-instagram-gradient text-white rounded-3xl rounded-br-md shadow-sm opacity-70">
+                      <p className="text-sm break-words leading-relaxed">
+                        {item.type === 'file' ? `📎 ${item.payload.filename}` : (item.label ?? '[Queued message]')}
+                      </p>
+                    </div>
+                    
+                    <div className="flex items-center gap-2 px-2 text-xs">
+                      {item.status === 'failed' ? (
+                        <span className="text-destructive flex items-center gap-1">
+                          <AlertCircle className="h-3 w-3" />
+                          Not sent{item.lastError ? `: ${item.lastError}` : ''}
+                        </span>
+                      ) : (
+                        <span className="text-muted-foreground flex items-center gap-1">
+                          <Clock className="h-3 w-3" />
+                          {item.attempts > 0 ? 'Waiting to retry…' : 'Sending…'}
+                        </span>
+                      )}
+                      {(item.status === 'failed' || item.attempts > 0) && (
+                        <button
+                          onClick={() => retryOutgoing(item.id)}
+                          className="font-medium text-primary hover:underline"
+                        >
+                          Retry
+                        </button>
+                      )}
+                      <button
+                        onClick={() => cancelOutgoing(item.id)}
+                        className="text-muted-foreground hover:underline"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+              
               <div ref={messagesEndRef} />
             </div>
             
@@ -724,6 +1076,7 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                   <FileUpload
                     currentUser={currentUser}
                     recipientId={selectedUser._id}
+                    onQueue={(fileData) => enqueueOutgoing('file', fileData, fileData.filename)}
                     onUploadSuccess={(filename) => {
                       setShowFileUpload(false);
                       setError('');
@@ -751,7 +1104,7 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
                 <input
                   type="text"
                   value={newMessage}
-                  onChange={(e) => setNewMessage(e.target.value)}
+                  onChange={handleMessageInput}
                   onKeyPress={(e) => e.key === 'Enter' && !loading && newMessage.trim() && sendMessage()}
                   placeholder="Message..."
                   disabled={loading}
@@ -789,6 +1142,14 @@ function Chat({ currentUser, onLogout, onViewSecurityLogs }) {
           </div>
         )}
       </div>
+      
+      {/* Active Devices Panel */}
+      {showSessions && (
+        <SessionsPanel
+          onClose={() => setShowSessions(false)}
+          onLogout={handleLogout}
+        />
+      )}
     </div>
   );
 }
@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
 import { encryptFile } from '../utils/crypto';
-import { uploadFile } from '../utils/api';
-import { getUserPublicKey } from '../utils/api';
 import { initiateKeyExchange } from '../utils/keyExchange';
+import { nextSendSequence } from '../utils/storage';
+import { ENVELOPE_VERSION, CONTENT_TYPE, envelopeAssociatedData, signEnvelope } from '../utils/envelope';
 import './FileUpload.css';
 
-function FileUpload({ currentUser, recipientId, onUploadSuccess }) {
+/**
+ * Encrypts a file and hands it to `onQueue` (the outbox), which uploads it
+ */
+function FileUpload({ currentUser, recipientId, onQueue, onUploadSuccess }) {
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -49,46 +52,47 @@ function FileUpload({ currentUser, recipientId, onUploadSuccess }) {
     setProgress(0);
     
     try {
-      // Get recipient's public key and perform key exchange
-      setProgress(10);
-      const recipientData = await getUserPublicKey(recipientId);
-      
+      // Perform key exchange with the recipient's prekey bundle
       setProgress(20);
-      const keyExchange = await initiateKeyExchange(
-        currentUser.userId,
-        recipientId,
-        recipientData.publicKey
-      );
+      const keyExchange = await initiateKeyExchange(currentUser.userId, recipientId);
       
       // Read file as ArrayBuffer
       setProgress(30);
       const fileBuffer = await selectedFile.arrayBuffer();
       
-      // Encrypt file
+      // Encrypt file, authenticating the envelope's routing metadata with it
       setProgress(50);
-      const encrypted = await encryptFile(keyExchange.sessionKey, fileBuffer);
+      const envelope = {
+        envelopeVersion: ENVELOPE_VERSION,
+        contentType: CONTENT_TYPE.FILE,
+        senderId: currentUser.userId,
+        recipientId,
+        keyId: keyExchange.keyId,
+        senderSeq: await nextSendSequence(recipientId)
+      };
+      const encrypted = await encryptFile(keyExchange.sessionKey, fileBuffer, envelopeAssociatedData(envelope));
       
       setProgress(70);
       
-      // Prepare file metadata with all required fields
-      const fileData = {
-        recipientId,
+      // Prepare file metadata with all required fields and sign the whole envelope
+      // (the server sets the sender from the authenticated request)
+      const { senderId, ...fileData } = await signEnvelope({
+        ...envelope,
         filename: selectedFile.name,
         mimeType: selectedFile.type,
         size: selectedFile.size,
         ciphertext: encrypted.ciphertext,
         iv: encrypted.iv,
         chunks: encrypted.chunks || 1,
-        keyId: keyExchange.keyId,
         ephemeralPublicKey: keyExchange.ephemeralPublicKey,
         signature: keyExchange.signature,
         headerData: keyExchange.headerData
-      };
+      });
       
       setProgress(85);
       
-      // Upload to server
-      await uploadFile(fileData);
+      // Queue for upload
+      await onQueue(fileData);
       
       setProgress(100);
       
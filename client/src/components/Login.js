@@ -1,12 +1,40 @@
-import React, { useState } from 'react';
-import { login, setAuthToken } from '../utils/api';
-import { User, Lock, AlertCircle, Loader2, ArrowRight } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { login, loginTwoFactor, getKeyLoginChallenge, loginWithKey, setAuthToken } from '../utils/api';
+import { signData, buildKeyLoginProof } from '../utils/crypto';
+import { getIdentityInfo, getIdentitySigningKey } from '../utils/storage';
+import { User, Lock, KeyRound, Fingerprint, AlertCircle, Loader2, ArrowRight } from 'lucide-react';
 
 function Login({ onLoginSuccess, onSwitchToRegister }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [deviceIdentity, setDeviceIdentity] = useState(null);
+
+  // Offer passwordless login if this browser still holds identity keys
+  useEffect(() => {
+    getIdentityInfo()
+      .then(identity => {
+        if (!identity) return;
+        setDeviceIdentity(identity);
+        if (identity.username) setUsername(identity.username);
+      })
+      .catch(err => console.warn('Could not read device identity:', err));
+  }, []);
+
+  function completeLogin(response) {
+    setAuthToken(response.token, response.refreshToken);
+    localStorage.setItem('userId', response.userId);
+    localStorage.setItem('username', response.username);
+    
+    onLoginSuccess({
+      userId: response.userId,
+      username: response.username
+    });
+  }
 
   async function handleSubmit(e) {
     e.preventDefault();
@@ -16,16 +44,71 @@ function Login({ onLoginSuccess, onSwitchToRegister }) {
     try {
       const response = await login(username, password);
       
-      setAuthToken(response.token);
-      localStorage.setItem('userId', response.userId);
-      localStorage.setItem('username', response.username);
+      // Account has 2FA enabled - ask for the second factor
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        setPassword('');
+        return;
+      }
+      
+      completeLogin(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleDeviceLogin() {
+    const accountName = deviceIdentity.username || username;
+    if (!accountName) {
+      setError('Enter your username to sign in with this device');
+      return;
+    }
+    
+    setError('');
+    setLoading(true);
+
+    try {
+      // Sign a server nonce with the non-extractable identity signing key
+      const { nonce } = await getKeyLoginChallenge(accountName);
+      const signingKey = await getIdentitySigningKey();
+      const signature = await signData(signingKey, buildKeyLoginProof(nonce, accountName));
+      
+      const response = await loginWithKey(accountName, nonce, signature);
+      
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        return;
+      }
       
-      onLoginSuccess({
-        userId: response.userId,
-        username: response.username
-      });
+      completeLogin(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleTwoFactorSubmit(e) {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await loginTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+      completeLogin(response);
     } catch (err) {
       setError(err.message);
+      
+      // Challenge expired - start over from the password step
+      if (err.message.includes('challenge expired')) {
+        setChallengeToken(null);
+        setCode('');
+      }
     } finally {
       setLoading(false);
     }
@@ -53,74 +136,161 @@ function Login({ onLoginSuccess, onSwitchToRegister }) {
           </div>
 
           {/* Form */}
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {/* Username Input */}
-            <div className="space-y-2">
-              <label htmlFor="username" className="text-sm font-medium text-card-foreground">
-                Username
-              </label>
-              <div className="relative">
-                <User className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
-                <input
-                  id="username"
-                  type="text"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  required
-                  autoComplete="username"
-                  placeholder="Enter your username"
-                  className="w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all"
-                />
+          {challengeToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+              {/* Code Input */}
+              <div className="space-y-2">
+                <label htmlFor="code" className="text-sm font-medium text-card-foreground">
+                  {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                </label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                  <input
+                    id="code"
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                    autoFocus
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    placeholder={useRecoveryCode ? 'XXXX-XXXX' : '6-digit code from your app'}
+                    className="w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setCode('');
+                  }}
+                  className="text-xs text-muted-foreground hover:text-card-foreground hover:underline"
+                >
+                  {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+                </button>
               </div>
-            </div>
-            
-            {/* Password Input */}
-            <div className="space-y-2">
-              <label htmlFor="password" className="text-sm font-medium text-card-foreground">
-                Password
-              </label>
-              <div className="relative">
-                <Lock className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
-                <input
-                  id="password"
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  required
-                  autoComplete="current-password"
-                  placeholder="Enter your password"
-                  className="w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all"
-                />
+              
+              {/* Error Message */}
+              {error && (
+                <div className="flex items-center gap-2 p-3 bg-destructive/10 border border-destructive/20 rounded-md text-destructive text-sm">
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              )}
+              
+              {/* Submit Button */}
+              <button 
+                type="submit" 
+                className="w-full bg-instagram-gradient text-white font-semibold py-2.5 px-4 rounded-md hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    <span>Verifying...</span>
+                  </>
+                ) : (
+                  <>
+                    <span>Verify</span>
+                    <ArrowRight className="h-5 w-5" />
+                  </>
+                )}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {/* Username Input */}
+              <div className="space-y-2">
+                <label htmlFor="username" className="text-sm font-medium text-card-foreground">
+                  Username
+                </label>
+                <div className="relative">
+                  <User className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                  <input
+                    id="username"
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    required
+                    autoComplete="username"
+                    placeholder="Enter your username"
+                    className="w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all"
+                  />
+                </div>
               </div>
-            </div>
-            
-            {/* Error Message */}
-            {error && (
-              <div className="flex items-center gap-2 p-3 bg-destructive/10 border border-destructive/20 rounded-md text-destructive text-sm">
-                <AlertCircle className="h-4 w-4 flex-shrink-0" />
-                <span>{error}</span>
+              
+              {/* Password Input */}
+              <div className="space-y-2">
+                <label htmlFor="password" className="text-sm font-medium text-card-foreground">
+                  Password
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                  <input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    autoComplete="current-password"
+                    placeholder="Enter your password"
+                    className="w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all"
+                  />
+                </div>
               </div>
-            )}
-            
-            {/* Submit Button */}
-            <button 
-              type="submit" 
-              className="w-full bg-instagram-gradient text-white font-semibold py-2.5 px-4 rounded-md hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
-              disabled={loading}
-            >
-              {loading ? (
-                <>
-                  <Loader2 className="h-5 w-5 animate-spin" />
-                  <span>Authenticating...</span>
-                </>
-              ) : (
-                <>
-                  <span>Sign In</span>
-                  <ArrowRight className="h-5 w-5" />
-                </>
+              
+              {/* Error Message */}
+              {error && (
+                <div className="flex items-center gap-2 p-3 bg-destructive/10 border border-destructive/20 rounded-md text-destructive text-sm">
+                  <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
               )}
-            </button>
-          </form>
+              
+              {/* Submit Button */}
+              <button 
+                type="submit" 
+                className="w-full bg-instagram-gradient text-white font-semibold py-2.5 px-4 rounded-md hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    <span>Authenticating...</span>
+                  </>
+                ) : (
+                  <>
+                    <span>Sign In</span>
+                    <ArrowRight className="h-5 w-5" />
+                  </>
+                )}
+              </button>
+            </form>
+          )}
+
+          {/* Passwordless login on a trusted device */}
+          {deviceIdentity && !challengeToken && (
+            <div className="space-y-4">
+              <div className="flex items-center gap-3 text-xs text-muted-foreground uppercase tracking-wider">
+                <div className="flex-1 border-t border-border" />
+                <span>or</span>
+                <div className="flex-1 border-t border-border" />
+              </div>
+              <button
+                type="button"
+                onClick={handleDeviceLogin}
+                disabled={loading}
+                className="w-full bg-background border border-input text-card-foreground font-semibold py-2.5 px-4 rounded-md hover:bg-accent focus:outline-none focus:ring-2 focus:ring-ring disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
+              >
+                <Fingerprint className="h-5 w-5" />
+                <span>
+                  {deviceIdentity.username
+                    ? `Sign in as ${deviceIdentity.username} with this device`
+                    : 'Sign in with this device'}
+                </span>
+              </button>
+            </div>
+          )}
         </div>
         
         {/* Footer */}
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { register, setAuthToken } from '../utils/api';
+import { register, getRegistrationChallenge, setAuthToken } from '../utils/api';
 import { 
   generateIdentityKeyPair, 
   exportPublicKey, 
-  calculateKeyFingerprint 
+  calculateKeyFingerprint,
+  signData,
+  buildRegistrationProof
 } from '../utils/crypto';
 import { storeIdentityKeyPair } from '../utils/storage';
 import { User, Lock, ShieldCheck, AlertCircle, Loader2, ArrowRight } from 'lucide-react';
@@ -52,16 +54,24 @@ function Register({ onRegisterSuccess, onSwitchToLogin }) {
         dh: dhPublicKeyJwk
       });
       
+      // Prove possession of the signing key by signing a server challenge
+      setKeyGenStatus('Proving key ownership...');
+      const { nonce } = await getRegistrationChallenge();
+      const proofSignature = await signData(
+        keyPairs.signing.privateKey,
+        buildRegistrationProof(nonce, username, fingerprint)
+      );
+      
       // Register with server
       setKeyGenStatus('Registering with server...');
-      const response = await register(username, password, publicKeyData, fingerprint);
+      const response = await register(username, password, publicKeyData, fingerprint, nonce, proofSignature);
       
       // Store keys locally in IndexedDB
       setKeyGenStatus('Storing keys securely...');
-      await storeIdentityKeyPair(keyPairs, response.userId);
+      await storeIdentityKeyPair(keyPairs, response.userId, response.username);
       
       // Set auth token
-      setAuthToken(response.token);
+      setAuthToken(response.token, response.refreshToken);
       localStorage.setItem('userId', response.userId);
       localStorage.setItem('username', response.username);
       
@@ -11,9 +11,19 @@ import {
   X,
   TrendingUp,
   Lock,
-  AlertCircle
+  AlertCircle,
+  KeyRound
 } from 'lucide-react';
 
+// Key exchange header checks counted in the stats, as returned by /security/stats
+const KEY_EXCHANGE_CHECKS = {
+  malformedHeader: 'malformed',
+  ephemeralMismatch: 'ephemeral key',
+  keyIdMismatch: 'key ID',
+  contextMismatch: 'context',
+  staleHeader: 'stale'
+};
+
 function SecurityLogs({ onBack, onSessionExpired }) {
   const [stats, setStats] = useState(null);
   const [logs, setLogs] = useState([]);
@@ -84,7 +94,20 @@ function SecurityLogs({ onBack, onSessionExpired }) {
       'key_exchange_failure': 'key exchange failure',
       'public_key_access': 'public key access',
       'registration_success': 'registration success',
-      'registration_failure': 'registration failure'
+      'registration_failure': 'registration failure',
+      'session_revoked': 'session revoked',
+      'refresh_token_reuse': 'refresh token reuse',
+      'account_locked': 'account locked',
+      'totp_enrolled': '2FA enabled',
+      'totp_disabled': '2FA disabled',
+      'totp_failure': '2FA code failure',
+      'socket_auth_failure': 'socket auth failure',
+      'socket_room_violation': 'socket room violation',
+      'key_exchange_malformed_header': 'key exchange: malformed header',
+      'key_exchange_ephemeral_mismatch': 'key exchange: ephemeral key mismatch',
+      'key_exchange_key_id_mismatch': 'key exchange: key ID mismatch',
+      'key_exchange_context_mismatch': 'key exchange: context mismatch',
+      'key_exchange_stale_header': 'key exchange: stale header'
     };
     return map[eventType] || eventType;
   }
@@ -145,13 +168,18 @@ function SecurityLogs({ onBack, onSessionExpired }) {
               <h2 className="text-xl font-semibold text-card-foreground">Security Statistics</h2>
               <span className="text-sm text-muted-foreground">(Last 24 Hours)</span>
             </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
               <div className="bg-card border border-border rounded-lg p-6 hover:shadow-lg transition-shadow">
                 <div className="flex items-center justify-between mb-2">
                   <span className="text-sm font-medium text-muted-foreground uppercase tracking-wider">Auth Failure</span>
                   <AlertTriangle className="h-5 w-5 text-yellow-500" />
                 </div>
                 <div className="text-3xl font-bold text-card-foreground">{stats.authFailure}</div>
+                {stats.accountLocked > 0 && (
+                  <div className="mt-2 inline-flex items-center px-2 py-1 bg-yellow-500/20 rounded-full text-xs font-semibold text-yellow-600">
+                    {stats.accountLocked} account{stats.accountLocked === 1 ? '' : 's'} locked
+                  </div>
+                )}
               </div>
               
               <div className="bg-card border border-border rounded-lg p-6 hover:shadow-lg transition-shadow">
@@ -182,6 +210,25 @@ function SecurityLogs({ onBack, onSessionExpired }) {
                 </div>
                 <div className="text-3xl font-bold text-card-foreground">{stats.messageSent}</div>
               </div>
+              
+              <div className="bg-card border border-border rounded-lg p-6 hover:shadow-lg transition-shadow">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-muted-foreground uppercase tracking-wider">Key Exchange Rejections</span>
+                  <KeyRound className="h-5 w-5 text-orange-500" />
+                </div>
+                <div className="text-3xl font-bold text-card-foreground">{stats.keyExchangeRejected}</div>
+                {stats.keyExchangeRejected > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {Object.entries(KEY_EXCHANGE_CHECKS)
+                      .filter(([check]) => stats.keyExchangeRejections[check] > 0)
+                      .map(([check, label]) => (
+                        <span key={check} className="inline-flex items-center px-2 py-1 bg-orange-500/20 rounded-full text-xs font-semibold text-orange-600">
+                          {stats.keyExchangeRejections[check]} {label}
+                        </span>
+                      ))}
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         )}
@@ -213,6 +260,16 @@ function SecurityLogs({ onBack, onSessionExpired }) {
             >
               Auth Failures
             </button>
+            <button 
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                filter === 'account_locked' 
+                  ? 'bg-instagram-gradient text-white shadow-md' 
+                  : 'bg-card border border-border text-card-foreground hover:bg-accent'
+              }`}
+              onClick={() => setFilter('account_locked')}
+            >
+              Account Lockouts
+            </button>
             <button 
               className={`px-4 py-2 rounded-lg font-medium transition-all ${
                 filter === 'replay_attack_detected' 
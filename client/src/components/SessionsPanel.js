@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSessions, revokeSession, revokeAllSessions } from '../utils/api';
+import { MonitorSmartphone, X, Loader2, AlertCircle, LogOut, Trash2 } from 'lucide-react';
+
+/**
+ * Active devices panel
+ * Lists the user's login sessions and lets them revoke one or all of them
+ */
+function SessionsPanel({ onClose, onLogout }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState({});
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const sessionsList = await getSessions();
+      setSessions(sessionsList);
+      setError('');
+    } catch (err) {
+      setError('Failed to load sessions: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  async function handleRevoke(session) {
+    if (session.current) {
+      // Revoking this device is the same as logging out
+      onLogout();
+      return;
+    }
+
+    setRevoking(prev => ({ ...prev, [session.id]: true }));
+    try {
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setError('Failed to revoke session: ' + err.message);
+    } finally {
+      setRevoking(prev => ({ ...prev, [session.id]: false }));
+    }
+  }
+
+  async function handleRevokeAll() {
+    setRevoking(prev => ({ ...prev, all: true }));
+    try {
+      await revokeAllSessions();
+      onLogout();
+    } catch (err) {
+      setError('Failed to log out everywhere: ' + err.message);
+      setRevoking(prev => ({ ...prev, all: false }));
+    }
+  }
+
+  function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+      : /Firefox\//.test(userAgent) ? 'Firefox'
+      : /Safari\//.test(userAgent) ? 'Safari'
+      : 'Unknown browser';
+
+    const os = /Windows/.test(userAgent) ? 'Windows'
+      : /Android/.test(userAgent) ? 'Android'
+      : /iPhone|iPad/.test(userAgent) ? 'iOS'
+      : /Mac OS X/.test(userAgent) ? 'macOS'
+      : /Linux/.test(userAgent) ? 'Linux'
+      : 'Unknown OS';
+
+    return `${browser} on ${os}`;
+  }
+
+  return (
+    <div
+      className="fixed inset-0 bg-background/80 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-card border border-border rounded-lg shadow-2xl max-w-lg w-full max-h-[90vh] overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-border bg-instagram-gradient">
+          <h3 className="text-xl font-semibold text-white flex items-center gap-2">
+            <MonitorSmartphone className="h-5 w-5" />
+            Active Devices
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/20 rounded-lg transition-colors"
+            title="Close"
+          >
+            <X className="h-5 w-5 text-white" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto max-h-[calc(90vh-160px)]">
+          {error && (
+            <div className="p-3 bg-destructive/10 border border-destructive/20 rounded-md flex items-center gap-2 text-destructive text-sm">
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-8 text-muted-foreground">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : (
+            sessions.map(session => (
+              <div
+                key={session.id}
+                className="flex items-center justify-between gap-3 p-3 bg-muted/50 border border-border rounded-lg"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-card-foreground text-sm flex items-center gap-2">
+                    {describeUserAgent(session.userAgent)}
+                    {session.current && (
+                      <span className="px-2 py-0.5 bg-green-500/20 text-green-600 rounded-full text-xs font-semibold">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-muted-foreground font-mono truncate">{session.ipAddress}</p>
+                  <p className="text-xs text-muted-foreground">
+                    Last active {new Date(session.lastSeen).toLocaleString()}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking[session.id] || revoking.all}
+                  className="p-2 hover:bg-destructive/10 text-destructive rounded-md transition-colors disabled:opacity-50"
+                  title={session.current ? 'Log out of this device' : 'Revoke session'}
+                >
+                  {revoking[session.id] ? (
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                  ) : (
+                    <Trash2 className="h-4 w-4" />
+                  )}
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="p-6 border-t border-border">
+          <button
+            onClick={handleRevokeAll}
+            disabled={loading || revoking.all}
+            className="w-full flex items-center justify-center gap-2 py-2.5 px-4 bg-destructive/10 hover:bg-destructive/20 text-destructive font-semibold rounded-md transition-colors disabled:opacity-50"
+          >
+            {revoking.all ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <LogOut className="h-4 w-4" />
+            )}
+            <span>Log out everywhere</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionsPanel;
@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  getSettings,
+  updateSettings
+} from '../utils/api';
+import { clearAllKeys } from '../utils/storage';
+import {
+  Settings as SettingsIcon,
+  ArrowLeft,
+  ShieldCheck,
+  ShieldOff,
+  KeyRound,
+  Lock,
+  Loader2,
+  AlertCircle,
+  Eye,
+  MonitorX
+} from 'lucide-react';
+
+// Privacy toggles shown in the Privacy card
+const PRIVACY_SETTINGS = [
+  {
+    field: 'readReceiptsEnabled',
+    label: 'Read receipts',
+    description: 'Let people know when you have read their messages. When off, they only see that messages were delivered.'
+  },
+  {
+    field: 'lastSeenVisible',
+    label: 'Last seen',
+    description: 'Show people you have chatted with when you were last online. Your online status is still shown while connected.'
+  }
+];
+
+function Settings({ onBack, onForgetDevice }) {
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTwoFactorStatus = useCallback(async () => {
+    try {
+      setTwoFactor(await getTwoFactorStatus());
+    } catch (err) {
+      setError('Failed to load settings: ' + err.message);
+    }
+  }, []);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      setSettings(await getSettings());
+    } catch (err) {
+      setError('Failed to load settings: ' + err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTwoFactorStatus();
+    loadSettings();
+  }, [loadTwoFactorStatus, loadSettings]);
+
+  async function runAction(action) {
+    setError('');
+    setLoading(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleStartSetup() {
+    runAction(async () => {
+      setSetupData(await setupTwoFactor());
+      setCode('');
+    });
+  }
+
+  function handleVerifySetup(e) {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await verifyTwoFactorSetup(code);
+      setRecoveryCodes(result.recoveryCodes);
+      setSetupData(null);
+      setCode('');
+      await loadTwoFactorStatus();
+    });
+  }
+
+  function handleToggleSetting(field) {
+    runAction(async () => {
+      setSettings(await updateSettings({ [field]: !settings[field] }));
+    });
+  }
+
+  function handleDisable(e) {
+    e.preventDefault();
+    // Recovery codes contain a dash, TOTP codes are 6 digits
+    const secondFactor = code.includes('-') ? { recoveryCode: code } : { code };
+    runAction(async () => {
+      await disableTwoFactor(password, secondFactor);
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      await loadTwoFactorStatus();
+    });
+  }
+
+  function handleForgetDevice() {
+    if (!window.confirm('Delete this device\'s keys and sign out? You will need your password to sign in here again, and messages only this device could decrypt will be unreadable.')) {
+      return;
+    }
+    runAction(async () => {
+      await clearAllKeys();
+      onForgetDevice();
+    });
+  }
+
+  const inputClassName = 'w-full pl-10 pr-4 py-2.5 bg-background border border-input rounded-md text-card-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring focus:border-transparent transition-all';
+  const primaryButtonClassName = 'bg-instagram-gradient text-white font-semibold py-2.5 px-4 rounded-md hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2';
+
+  return (
+    <div className="min-h-screen bg-background">
+      {/* Header */}
+      <div className="bg-instagram-gradient border-b border-border shadow-lg">
+        <div className="max-w-3xl mx-auto px-6 py-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <div className="w-12 h-12 bg-white/20 rounded-full flex items-center justify-center">
+                <SettingsIcon className="h-6 w-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-white">Settings</h1>
+                <p className="text-sm text-white/80">Account security and preferences</p>
+              </div>
+            </div>
+            <button
+              onClick={onBack}
+              className="flex items-center gap-2 px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg transition-colors"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              <span>Back to Chat</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-6 py-8 space-y-8">
+        {/* Error Banner */}
+        {error && (
+          <div className="p-4 bg-destructive/10 border border-destructive/20 rounded-lg flex items-center gap-3 text-destructive">
+            <AlertCircle className="h-5 w-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {/* Two-Factor Authentication */}
+        <div className="bg-card border border-border rounded-lg p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <KeyRound className="h-5 w-5 text-muted-foreground" />
+              <h2 className="text-xl font-semibold text-card-foreground">Two-Factor Authentication</h2>
+            </div>
+            {twoFactor && (
+              <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-semibold ${
+                twoFactor.enabled ? 'bg-green-500/20 text-green-600' : 'bg-muted text-muted-foreground'
+              }`}>
+                {twoFactor.enabled ? <ShieldCheck className="h-3 w-3" /> : <ShieldOff className="h-3 w-3" />}
+                {twoFactor.enabled ? 'Enabled' : 'Disabled'}
+              </span>
+            )}
+          </div>
+
+          {!twoFactor ? (
+            <div className="flex justify-center py-4 text-muted-foreground">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : (
+            <>
+              {/* Recovery codes (shown once after enabling) */}
+              {recoveryCodes && (
+                <div className="p-4 bg-muted/50 border border-border rounded-md space-y-2">
+                  <p className="text-sm font-semibold text-card-foreground">Save your recovery codes</p>
+                  <p className="text-xs text-muted-foreground">
+                    Each code can be used once to sign in if you lose your authenticator. They will not be shown again.
+                  </p>
+                  <div className="grid grid-cols-2 gap-2 font-mono text-sm text-card-foreground">
+                    {recoveryCodes.map(recoveryCode => (
+                      <span key={recoveryCode}>{recoveryCode}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {!twoFactor.enabled && !setupData && (
+                <div className="space-y-3">
+                  <p className="text-sm text-muted-foreground">
+                    Require a code from an authenticator app in addition to your password when signing in.
+                  </p>
+                  <button onClick={handleStartSetup} disabled={loading} className={primaryButtonClassName}>
+                    {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+                    <span>Set up two-factor authentication</span>
+                  </button>
+                </div>
+              )}
+
+              {/* Enrollment */}
+              {!twoFactor.enabled && setupData && (
+                <form onSubmit={handleVerifySetup} className="space-y-4">
+                  <p className="text-sm text-muted-foreground">
+                    Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <div className="flex flex-col items-center gap-2">
+                    <img src={setupData.qrCode} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded-md" />
+                    <code className="text-xs text-muted-foreground break-all">{setupData.secret}</code>
+                  </div>
+                  <div className="relative">
+                    <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                    <input
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      required
+                      autoComplete="one-time-code"
+                      inputMode="numeric"
+                      placeholder="6-digit code"
+                      className={inputClassName}
+                    />
+                  </div>
+                  <button type="submit" disabled={loading} className={`w-full ${primaryButtonClassName}`}>
+                    {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+                    <span>Verify and enable</span>
+                  </button>
+                </form>
+              )}
+
+              {/* Disable */}
+              {twoFactor.enabled && (
+                <form onSubmit={handleDisable} className="space-y-4">
+                  <p className="text-sm text-muted-foreground">
+                    {twoFactor.recoveryCodesRemaining} recovery code{twoFactor.recoveryCodesRemaining === 1 ? '' : 's'} remaining.
+                    To turn off two-factor authentication, confirm your password and a current code.
+                  </p>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      autoComplete="current-password"
+                      placeholder="Password"
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div className="relative">
+                    <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-muted-foreground" />
+                    <input
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      required
+                      autoComplete="one-time-code"
+                      placeholder="Authentication or recovery code"
+                      className={inputClassName}
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full flex items-center justify-center gap-2 py-2.5 px-4 bg-destructive/10 hover:bg-destructive/20 text-destructive font-semibold rounded-md transition-colors disabled:opacity-50"
+                  >
+                    {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+                    <span>Disable two-factor authentication</span>
+                  </button>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Privacy */}
+        <div className="bg-card border border-border rounded-lg p-6 space-y-4">
+          <div className="flex items-center gap-2">
+            <Eye className="h-5 w-5 text-muted-foreground" />
+            <h2 className="text-xl font-semibold text-card-foreground">Privacy</h2>
+          </div>
+
+          {!settings ? (
+            <div className="flex justify-center py-4 text-muted-foreground">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : (
+            PRIVACY_SETTINGS.map(({ field, label, description }) => (
+              <div key={field} className="flex items-center justify-between gap-4">
+                <div>
+                  <p className="text-sm font-medium text-card-foreground">{label}</p>
+                  <p className="text-xs text-muted-foreground">{description}</p>
+                </div>
+                <button
+                  role="switch"
+                  aria-checked={settings[field]}
+                  aria-label={label}
+                  onClick={() => handleToggleSetting(field)}
+                  disabled={loading}
+                  className={`relative flex-shrink-0 w-11 h-6 rounded-full transition-colors disabled:opacity-50 ${
+                    settings[field] ? 'bg-instagram-gradient' : 'bg-muted'
+                  }`}
+                >
+                  <span className={`absolute top-0.5 left-0.5 w-5 h-5 bg-white rounded-full shadow transition-transform ${
+                    settings[field] ? 'translate-x-5' : ''
+                  }`} />
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* This Device */}
+        <div className="bg-card border border-border rounded-lg p-6 space-y-4">
+          <div className="flex items-center gap-2">
+            <MonitorX className="h-5 w-5 text-muted-foreground" />
+            <h2 className="text-xl font-semibold text-card-foreground">This Device</h2>
+          </div>
+          <p className="text-sm text-muted-foreground">
+            Logging out keeps this device's identity keys so you can sign in with it again. Forgetting the device deletes its keys and stored messages, then signs you out.
+          </p>
+          <button
+            onClick={handleForgetDevice}
+            disabled={loading}
+            className="w-full flex items-center justify-center gap-2 py-2.5 px-4 bg-destructive/10 hover:bg-destructive/20 text-destructive font-semibold rounded-md transition-colors disabled:opacity-50"
+          >
+            {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+            <span>Forget this device</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -1,21 +1,26 @@
 import { useState, useCallback } from 'react';
 import { initiateKeyExchange, completeKeyExchange, getMessageKey } from '../utils/keyExchange';
 import { getUserPublicKey } from '../utils/api';
+import { KeyExchangeValidationError, KEY_EXCHANGE_ERROR } from '../utils/keyExchangeValidation';
 
 /**
  * Custom React Hook for Key Exchange Protocol
  * 
- * Flow:
- * 1. Initiator (Alice) generates ephemeral ECDH keypair
- * 2. Alice derives shared secret using her ephemeral private key and Bob's DH public key
- * 3. Alice signs the exchange parameters (ephemeral public key, keyId, context) with her ECDSA signing key
- * 4. Bob receives: ephemeralPublicKey, signature, headerData
- * 5. Bob verifies Alice's signature using her ECDSA public key (prevents MITM)
- * 6. Bob derives the same shared secret using his DH private key and Alice's ephemeral public key
- * 7. Both parties now have the same session key without it ever being transmitted
+ * Flow (asynchronous X3DH, Bob does not need to be online):
+ * 1. Initiator (Alice) fetches Bob's prekey bundle: identity keys, signed prekey and, while
+ *    the supply lasts, a one-time prekey that the server hands to nobody else
+ * 2. Alice checks the signed prekey's signature against Bob's identity signing key
+ * 3. Alice generates an ephemeral ECDH keypair and derives the shared secret from
+ *    DH(IK_A, SPK_B), DH(EK_A, IK_B), DH(EK_A, SPK_B) and DH(EK_A, OPK_B)
+ * 4. Alice signs the exchange parameters (ephemeral public key, keyId, context, prekey IDs) with her ECDSA signing key
+ * 5. Bob receives: ephemeralPublicKey, signature, headerData
+ * 6. Bob verifies Alice's signature using her ECDSA public key (prevents MITM), then checks the
+ *    header names the ephemeral key and keyId it arrived with, Alice and Bob, and is recent
+ * 7. Bob derives the same shared secret from his private keys and deletes the one-time prekey
+ * 8. Both parties now have the same session key without it ever being transmitted
  * 
  * Security Features:
- * - Forward Secrecy: Ephemeral keys are generated per exchange and discarded
+ * - Forward Secrecy: Ephemeral and one-time prekeys are used once and discarded, and signed prekeys rotate
  * - Authentication: Digital signatures prevent impersonation
  * - MITM Prevention: Signature verification ensures the ephemeral key came from legitimate sender
  * - Context Binding: KDF includes user IDs and timestamp to prevent cross-session attacks
@@ -34,19 +39,8 @@ export function useKeyExchange() {
     setError(null);
 
     try {
-      // Get recipient's public keys from server
-      const recipientData = await getUserPublicKey(recipientUserId);
-
-      if (!recipientData || !recipientData.publicKey) {
-        throw new Error('Recipient public key not found');
-      }
-
-      // Perform key exchange
-      const exchangeData = await initiateKeyExchange(
-        senderUserId,
-        recipientUserId,
-        recipientData.publicKey
-      );
+      // Perform key exchange with the recipient's prekey bundle
+      const exchangeData = await initiateKeyExchange(senderUserId, recipientUserId);
 
       setKeyExchangeData(exchangeData);
       return exchangeData;
@@ -61,14 +55,16 @@ export function useKeyExchange() {
 
   /**
    * Complete key exchange as recipient (Bob)
-   * Verifies signature and derives the same session key
+   * Verifies signature and header, and derives the same session key
+   * `expected` is { keyId, storedAt } of the message or file carrying the exchange
    */
   const complete = useCallback(async (
     recipientUserId,
     senderUserId,
     ephemeralPublicKey,
     headerData,
-    signature
+    signature,
+    expected
   ) => {
     setLoading(true);
     setError(null);
@@ -88,7 +84,8 @@ export function useKeyExchange() {
         senderData.publicKey,
         ephemeralPublicKey,
         headerData,
-        signature
+        signature,
+        expected
       );
 
       setKeyExchangeData(exchangeResult);
@@ -96,8 +93,10 @@ export function useKeyExchange() {
 
     } catch (err) {
       // Signature verification failure indicates potential MITM attack
-      if (err.message.includes('Invalid signature')) {
+      if (err instanceof KeyExchangeValidationError && err.code === KEY_EXCHANGE_ERROR.INVALID_SIGNATURE) {
         setError('⚠️ SECURITY ALERT: Signature verification failed - potential MITM attack detected!');
+      } else if (err instanceof KeyExchangeValidationError) {
+        setError(`⚠️ SECURITY ALERT: Key exchange rejected - ${err.message}`);
       } else {
         setError(err.message);
       }
@@ -0,0 +1,197 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { sendMessage, uploadFile } from '../utils/api';
+import {
+  addOutboxItem,
+  getOutboxItems,
+  updateOutboxItem,
+  removeOutboxItem
+} from '../utils/storage';
+import { MAX_SEND_DELAY } from '../utils/inbound';
+
+// Exponential backoff between automatic retries: 2s, 4s, 8s ... capped at 1 minute
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+const MAX_ATTEMPTS = 8;
+
+/**
+ * Network errors, timeouts, rate limits, server errors and a still-running
+ * earlier attempt (same idempotency key) are worth retrying
+ */
+function isRetryable(err) {
+  if (err.data?.reason === 'request_in_progress') return true;
+  return !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Send one queued item
+ */
+async function deliver(item) {
+  if (item.type === 'file') {
+    return uploadFile(item.payload, item.id);
+  }
+
+  try {
+    return await sendMessage(item.payload, item.id);
+  } catch (err) {
+    // An earlier attempt was stored, but its response was lost and the idempotency key has expired
+    if (err.status === 409 && err.data?.reason === 'duplicate_key_id') return {};
+    throw err;
+  }
+}
+
+/**
+ * Offline outbox for outgoing messages and files
+ *
+ * Items are encrypted before they are queued and persisted in IndexedDB, then sent
+ * in order with exponential backoff. Each item's ID doubles as its idempotency key.
+ * Plaintext labels for the UI are kept in memory only.
+ * Encryption needs the network only to start a session with a new peer (its prekey bundle);
+ * messages to peers with an existing session can be queued while offline.
+ */
+export function useOutbox({ onSent }) {
+  const [items, setItems] = useState([]);
+  const labelsRef = useRef(new Map());
+  const onSentRef = useRef(onSent);
+  const processingRef = useRef(false);
+  const rerunRef = useRef(false);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    onSentRef.current = onSent;
+  }, [onSent]);
+
+  const refresh = useCallback(async () => {
+    const stored = await getOutboxItems();
+    setItems(stored.map(item => ({ ...item, label: labelsRef.current.get(item.id) })));
+    return stored;
+  }, []);
+
+  /**
+   * Send everything that is due, oldest first
+   * Stops at the first item that failed or is still waiting to retry, so messages are never
+   * reordered: later items wait until a failed one is retried or cancelled
+   */
+  const processOutbox = useCallback(async () => {
+    if (processingRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+    processingRef.current = true;
+    clearTimeout(timerRef.current);
+
+    try {
+      const queue = await refresh();
+
+      for (const item of queue) {
+        if (item.status === 'failed') break;
+
+        // Recipients reject messages stored this long after they were encrypted
+        if (Date.now() - item.createdAt > MAX_SEND_DELAY) {
+          await updateOutboxItem(item.id, { status: 'failed', lastError: 'Expired before it could be sent' });
+          break;
+        }
+
+        const waitMs = item.nextAttemptAt - Date.now();
+        if (waitMs > 0) {
+          timerRef.current = setTimeout(processOutbox, waitMs);
+          break;
+        }
+
+        try {
+          const result = await deliver(item);
+          await removeOutboxItem(item.id);
+          setItems(prev => prev.filter(i => i.id !== item.id));
+          onSentRef.current?.({ ...item, label: labelsRef.current.get(item.id) }, result);
+          labelsRef.current.delete(item.id);
+        } catch (err) {
+          const attempts = item.attempts + 1;
+
+          if (!isRetryable(err) || attempts >= MAX_ATTEMPTS) {
+            await updateOutboxItem(item.id, { status: 'failed', attempts, lastError: err.message });
+            break;
+          }
+
+          const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+          await updateOutboxItem(item.id, { attempts, nextAttemptAt: Date.now() + delay, lastError: err.message });
+          timerRef.current = setTimeout(processOutbox, delay);
+          break;
+        }
+      }
+
+      await refresh();
+    } catch (err) {
+      console.error('Outbox processing failed:', err);
+    } finally {
+      processingRef.current = false;
+      if (rerunRef.current) {
+        rerunRef.current = false;
+        processOutbox();
+      }
+    }
+  }, [refresh]);
+
+  /**
+   * Queue an encrypted request body; `label` is the plaintext shown while pending
+   */
+  const enqueue = useCallback(async (type, payload, label) => {
+    const item = {
+      id: crypto.randomUUID(),
+      type,
+      recipientId: payload.recipientId,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: Date.now(),
+      lastError: null
+    };
+
+    labelsRef.current.set(item.id, label);
+    await addOutboxItem(item);
+    processOutbox();
+    return item;
+  }, [processOutbox]);
+
+  // Manual retry of a failed item
+  const retry = useCallback(async (id) => {
+    await updateOutboxItem(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    processOutbox();
+  }, [processOutbox]);
+
+  // Connectivity is back: skip any remaining backoff and send now
+  const resume = useCallback(async () => {
+    const now = Date.now();
+    const queue = await getOutboxItems();
+    await Promise.all(queue
+      .filter(item => item.status === 'pending' && item.nextAttemptAt > now)
+      .map(item => updateOutboxItem(item.id, { nextAttemptAt: now })));
+    processOutbox();
+  }, [processOutbox]);
+
+  const cancel = useCallback(async (id) => {
+    await removeOutboxItem(id);
+    labelsRef.current.delete(id);
+    await refresh();
+  }, [refresh]);
+
+  // Resume on load and whenever connectivity returns
+  useEffect(() => {
+    processOutbox();
+
+    window.addEventListener('online', resume);
+    return () => {
+      window.removeEventListener('online', resume);
+      clearTimeout(timerRef.current);
+    };
+  }, [processOutbox, resume]);
+
+  return {
+    items,        // Queued items: { id, type, recipientId, status, attempts, lastError, label }
+    enqueue,      // Queue an encrypted message or file
+    retry,        // Retry a failed item now
+    cancel,       // Drop an item from the queue
+    resume        // Send now, skipping backoff (e.g. after the socket reconnects)
+  };
+}
+
+export default useOutbox;
@@ -4,22 +4,92 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 // const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8081/api'; // Pointing to replay attacker for testing
 
 let authToken = localStorage.getItem('authToken');
+let refreshPromise = null;
 
-export function setAuthToken(token) {
+// Name of the Web Lock that lets only one tab at a time spend the shared refresh token
+const REFRESH_LOCK = 'encircle-token-refresh';
+
+// Tabs share the tokens in localStorage: pick up the access token another tab refreshed or cleared
+window.addEventListener('storage', (event) => {
+  if (event.key === 'authToken' || event.key === null) {
+    authToken = localStorage.getItem('authToken');
+  }
+});
+
+export function setAuthToken(token, newRefreshToken) {
   authToken = token;
   localStorage.setItem('authToken', token);
+  
+  if (newRefreshToken) {
+    localStorage.setItem('refreshToken', newRefreshToken);
+  }
 }
 
 export function clearAuthToken() {
   authToken = null;
   localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
 }
 
 export function getAuthToken() {
   return authToken;
 }
 
-async function apiRequest(endpoint, options = {}) {
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one request, and tabs take turns through a Web Lock, since each
+ * refresh token is single-use. Resolves to true if new tokens are available.
+ */
+export function refreshAccessToken() {
+  const requestedWith = localStorage.getItem('refreshToken');
+  if (!requestedWith) return Promise.resolve(false);
+  
+  if (!refreshPromise) {
+    const exchange = () => exchangeRefreshToken(requestedWith);
+    
+    refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, exchange) : exchange())
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  
+  return refreshPromise;
+}
+
+/**
+ * Present the stored refresh token, unless another tab already replaced `requestedWith`
+ * (then its new tokens are used, rather than presenting a spent token the server treats as stolen)
+ * Tokens are cleared only when the server rejects them; a rate limit or server error keeps them
+ */
+async function exchangeRefreshToken(requestedWith) {
+  const storedRefreshToken = localStorage.getItem('refreshToken');
+  if (!storedRefreshToken) return false;
+  
+  if (storedRefreshToken !== requestedWith) {
+    authToken = localStorage.getItem('authToken');
+    return true;
+  }
+  
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: storedRefreshToken })
+  });
+  
+  if (response.status === 401 || response.status === 403) {
+    clearAuthToken();
+    return false;
+  }
+  
+  if (!response.ok) return false;
+  
+  const tokens = await response.json();
+  setAuthToken(tokens.token, tokens.refreshToken);
+  return true;
+}
+
+async function apiRequest(endpoint, options = {}, retried = false) {
   const headers = {
     'Content-Type': 'application/json',
     ...(authToken && { Authorization: `Bearer ${authToken}` }),
@@ -31,19 +101,33 @@ async function apiRequest(endpoint, options = {}) {
     headers
   });
   
+  // Access token expired: refresh once and replay the request
+  if (response.status === 401 && authToken && !retried && await refreshAccessToken()) {
+    return apiRequest(endpoint, options, true);
+  }
+  
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'API request failed');
+    const apiError = new Error(error.error || 'API request failed');
+    apiError.status = response.status;
+    apiError.data = error;
+    throw apiError;
   }
   
   return response.json();
 }
 
 // Auth endpoints
-export async function register(username, password, publicKey, keyFingerprint) {
+export async function getRegistrationChallenge() {
+  return apiRequest('/auth/register/challenge', {
+    method: 'POST'
+  });
+}
+
+export async function register(username, password, publicKey, keyFingerprint, challenge, proofSignature) {
   return apiRequest('/auth/register', {
     method: 'POST',
-    body: JSON.stringify({ username, password, publicKey, keyFingerprint })
+    body: JSON.stringify({ username, password, publicKey, keyFingerprint, challenge, proofSignature })
   });
 }
 
@@ -54,19 +138,137 @@ export async function login(username, password) {
   });
 }
 
+export async function getKeyLoginChallenge(username) {
+  return apiRequest('/auth/login/key/challenge', {
+    method: 'POST',
+    body: JSON.stringify({ username })
+  });
+}
+
+export async function loginWithKey(username, challenge, signature) {
+  return apiRequest('/auth/login/key', {
+    method: 'POST',
+    body: JSON.stringify({ username, challenge, signature })
+  });
+}
+
+export async function loginTwoFactor(challengeToken, { code, recoveryCode }) {
+  return apiRequest('/auth/login/2fa', {
+    method: 'POST',
+    body: JSON.stringify({ challengeToken, code, recoveryCode })
+  });
+}
+
+export async function logout() {
+  return apiRequest('/auth/logout', {
+    method: 'POST'
+  });
+}
+
+// Session endpoints
+export async function getSessions() {
+  return apiRequest('/auth/sessions');
+}
+
+export async function revokeSession(sessionId) {
+  return apiRequest(`/auth/sessions/${sessionId}`, {
+    method: 'DELETE'
+  });
+}
+
+export async function revokeAllSessions() {
+  return apiRequest('/auth/sessions', {
+    method: 'DELETE'
+  });
+}
+
+// Two-factor authentication endpoints
+export async function getTwoFactorStatus() {
+  return apiRequest('/auth/2fa');
+}
+
+export async function setupTwoFactor() {
+  return apiRequest('/auth/2fa/setup', {
+    method: 'POST'
+  });
+}
+
+export async function verifyTwoFactorSetup(code) {
+  return apiRequest('/auth/2fa/verify', {
+    method: 'POST',
+    body: JSON.stringify({ code })
+  });
+}
+
+export async function disableTwoFactor(password, { code, recoveryCode }) {
+  return apiRequest('/auth/2fa/disable', {
+    method: 'POST',
+    body: JSON.stringify({ password, code, recoveryCode })
+  });
+}
+
 // User endpoints
 export async function getUsers() {
   return apiRequest('/users');
 }
 
+// Identity keys are cached in memory so verifying each received message doesn't cost a request
+// Entries expire so a changed key is picked up, and only responses that carry a key are cached
+const PUBLIC_KEY_CACHE_TTL = 10 * 60 * 1000;
+const publicKeyCache = new Map();
+
 export async function getUserPublicKey(userId) {
-  return apiRequest(`/users/${userId}/public-key`);
+  const cached = publicKeyCache.get(userId);
+  if (cached && Date.now() - cached.fetchedAt < PUBLIC_KEY_CACHE_TTL) return cached.userData;
+  
+  publicKeyCache.delete(userId);
+  const userData = await apiRequest(`/users/${userId}/public-key`);
+  if (userData && userData.publicKey) {
+    publicKeyCache.set(userId, { userData, fetchedAt: Date.now() });
+  }
+  return userData;
+}
+
+// Not cached: every bundle uses up one of the user's one-time prekeys
+export async function getPrekeyBundle(userId) {
+  return apiRequest(`/users/${userId}/prekey-bundle`);
+}
+
+export async function getPrekeyStatus() {
+  return apiRequest('/users/me/prekeys');
+}
+
+export async function uploadSignedPrekey(signedPrekey) {
+  return apiRequest('/users/me/signed-prekey', {
+    method: 'PUT',
+    body: JSON.stringify(signedPrekey)
+  });
+}
+
+export async function uploadOneTimePrekeys(prekeys, replace = false) {
+  return apiRequest('/users/me/one-time-prekeys', {
+    method: 'POST',
+    body: JSON.stringify({ prekeys, replace })
+  });
+}
+
+export async function getSettings() {
+  return apiRequest('/users/me/settings');
+}
+
+export async function updateSettings(settings) {
+  return apiRequest('/users/me/settings', {
+    method: 'PATCH',
+    body: JSON.stringify(settings)
+  });
 }
 
 // Message endpoints
-export async function sendMessage(messageData) {
+// idempotencyKey lets a retried request return the original result instead of storing a duplicate
+export async function sendMessage(messageData, idempotencyKey) {
   return apiRequest('/messages', {
     method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
     body: JSON.stringify(messageData)
   });
 }
@@ -87,10 +289,36 @@ export async function markMessageRead(messageId) {
   });
 }
 
+// Conversation endpoints
+export async function getConversations() {
+  return apiRequest('/conversations');
+}
+
+export async function markConversationRead(peerId) {
+  return apiRequest(`/conversations/${peerId}/read`, {
+    method: 'POST'
+  });
+}
+
+export async function getConversationMessages(peerId, { before, limit } = {}) {
+  const params = new URLSearchParams();
+  if (before) params.set('before', before);
+  if (limit) params.set('limit', limit);
+  const query = params.toString();
+  
+  return apiRequest(`/conversations/${peerId}/messages${query ? `?${query}` : ''}`);
+}
+
+// Missed-event sync (omit `after` to get the current cursor)
+export async function syncEvents(after) {
+  return apiRequest(after === undefined ? '/sync' : `/sync?after=${encodeURIComponent(after)}`);
+}
+
 // File endpoints
-export async function uploadFile(fileData) {
+export async function uploadFile(fileData, idempotencyKey) {
   return apiRequest('/files', {
     method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
     body: JSON.stringify(fileData)
   });
 }
@@ -120,6 +120,30 @@ export async function signData(privateKey, data) {
   return arrayBufferToBase64(signature);
 }
 
+/**
+ * Message signed with the new identity key to prove possession at registration
+ * Must match buildRegistrationProof in server/routes/auth.js
+ */
+export function buildRegistrationProof(nonce, username, keyFingerprint) {
+  return `encircle-register||${nonce}||${username}||${keyFingerprint}`;
+}
+
+/**
+ * Message signed with the identity key for passwordless login
+ * Must match buildKeyLoginProof in server/routes/auth.js
+ */
+export function buildKeyLoginProof(nonce, username) {
+  return `encircle-login||${nonce}||${username}`;
+}
+
+/**
+ * Message the identity signing key signs to vouch for a signed prekey
+ * Must match buildSignedPrekeyProof in server/routes/users.js
+ */
+export function buildSignedPrekeyProof(keyId, publicKey) {
+  return `encircle-signed-prekey||${keyId}||${publicKey}`;
+}
+
 /**
  * Verify ECDSA signature
  */
@@ -186,18 +210,23 @@ export async function deriveSharedKey(privateKey, publicKey, context) {
 }
 
 /**
- * Encrypt data with AES-256-GCM
- * Includes timestamp in encrypted payload for replay protection
+ * Encode message text with a timestamp for replay protection
  */
-export async function encryptMessage(key, plaintext) {
-  // Create payload with timestamp for replay protection
+export function encodeMessagePayload(text) {
   const payload = JSON.stringify({
-    text: plaintext,
+    text,
     timestamp: Date.now()
   });
   
-  const encoder = new TextEncoder();
-  const data = encoder.encode(payload);
+  return new TextEncoder().encode(payload);
+}
+
+/**
+ * Encrypt data with AES-256-GCM
+ * Includes timestamp in encrypted payload for replay protection
+ */
+export async function encryptMessage(key, plaintext) {
+  const data = encodeMessagePayload(plaintext);
   
   // Generate fresh random 96-bit (12 bytes) IV for every message
   const iv = window.crypto.getRandomValues(new Uint8Array(12));
@@ -220,7 +249,7 @@ export async function encryptMessage(key, plaintext) {
 
 /**
  * Decrypt data with AES-256-GCM
- * Extracts and validates timestamp from encrypted payload
+ * Extracts and validates timestamp from encrypted payload (options as in decodeMessagePayload)
  */
 export async function decryptMessage(key, ciphertextBase64, ivBase64, options = {}) {
   const ciphertext = base64ToArrayBuffer(ciphertextBase64);
@@ -236,6 +265,15 @@ export async function decryptMessage(key, ciphertextBase64, ivBase64, options =
     ciphertext
   );
   
+  return decodeMessagePayload(plaintext, options);
+}
+
+/**
+ * Decode a message payload and validate its timestamp
+ * Options: `reference` (time to measure age against, default now), `maxAge` (default 1 hour)
+ * and `maxSkew` (how far the timestamp may be ahead of `reference`, default 1 minute)
+ */
+export function decodeMessagePayload(plaintext, options = {}) {
   const decoder = new TextDecoder();
   const payloadStr = decoder.decode(plaintext);
   
@@ -246,14 +284,14 @@ export async function decryptMessage(key, ciphertextBase64, ivBase64, options =
     // Check if payload has expected structure
     if (payload && typeof payload === 'object' && 'text' in payload && 'timestamp' in payload) {
       // Validate timestamp for replay protection (default: 1 hour max age)
-      const maxAge = options.maxAge || 3600000; // 1 hour in milliseconds
-      const age = Date.now() - payload.timestamp;
+      const { reference = Date.now(), maxAge = 3600000, maxSkew = 60000 } = options;
+      const age = reference - payload.timestamp;
       
       if (age > maxAge) {
         throw new Error('Message timestamp too old - possible replay attack');
       }
       
-      if (age < -60000) { // Allow 1 minute clock skew
+      if (age < -maxSkew) {
         throw new Error('Message timestamp is in the future - possible replay attack');
       }
       
@@ -271,6 +309,110 @@ export async function decryptMessage(key, ciphertextBase64, ivBase64, options =
   return payloadStr;
 }
 
+/**
+ * Perform ECDH and derive a raw 256-bit shared secret using HKDF
+ * Same derivation as deriveSharedKey, for protocols that need the secret bytes (Double Ratchet root key)
+ */
+export async function deriveSharedSecret(privateKey, publicKey, context) {
+  const sharedSecret = await window.crypto.subtle.deriveBits(
+    {
+      name: 'ECDH',
+      public: publicKey
+    },
+    privateKey,
+    256
+  );
+  
+  const keyMaterial = await window.crypto.subtle.importKey(
+    'raw',
+    sharedSecret,
+    { name: 'HKDF' },
+    false,
+    ['deriveBits']
+  );
+  
+  const encoder = new TextEncoder();
+  
+  return await window.crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(32),
+      info: encoder.encode(context)
+    },
+    keyMaterial,
+    256
+  );
+}
+
+/**
+ * Generate an ECDH prekey pair (X3DH signed or one-time prekey)
+ * The private key is non-extractable; the public key is returned as a JWK string
+ */
+export async function generatePrekeyPair() {
+  const keyPair = await window.crypto.subtle.generateKey(
+    {
+      name: 'ECDH',
+      namedCurve: 'P-256'
+    },
+    false, // non-extractable private key
+    ['deriveBits']
+  );
+  
+  return {
+    privateKey: keyPair.privateKey,
+    publicKey: await exportPublicKey(keyPair.publicKey)
+  };
+}
+
+/**
+ * X3DH key agreement: HKDF over the concatenated ECDH outputs of `pairs` ([privateKey, publicKey] each)
+ * Both parties must list the pairs in the same order (DH1..DH4 of the X3DH specification)
+ */
+export async function deriveX3DHSecret(pairs, context) {
+  const outputs = await Promise.all(pairs.map(([privateKey, publicKey]) =>
+    window.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256)
+  ));
+  
+  // 32 0xFF bytes in front of the DH outputs, as the X3DH specification does for domain separation
+  const material = new Uint8Array(32 * (outputs.length + 1)).fill(0xff, 0, 32);
+  outputs.forEach((output, i) => material.set(new Uint8Array(output), 32 * (i + 1)));
+  
+  const keyMaterial = await window.crypto.subtle.importKey(
+    'raw',
+    material,
+    { name: 'HKDF' },
+    false,
+    ['deriveBits']
+  );
+  
+  const encoder = new TextEncoder();
+  
+  return await window.crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(32),
+      info: encoder.encode(context)
+    },
+    keyMaterial,
+    256
+  );
+}
+
+/**
+ * Import a 256-bit shared secret as a non-extractable AES-256-GCM session key
+ */
+export async function importSessionKey(sharedSecret) {
+  return await window.crypto.subtle.importKey(
+    'raw',
+    sharedSecret,
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
 /**
  * Encrypt file chunk with AES-256-GCM
  */
@@ -295,7 +437,8 @@ export async function encryptFileChunk(key, chunk) {
 
 /**
  * Decrypt file with AES-256-GCM
- * Extracts and validates timestamp from encrypted payload
+ * Extracts and validates timestamp from encrypted payload (same options as decryptMessage, plus
+ * `additionalData`: the string the file was encrypted with, see encryptFile)
  */
 export async function decryptFile(key, ciphertextBase64, ivBase64, options = {}) {
   const ciphertext = base64ToArrayBuffer(ciphertextBase64);
@@ -305,7 +448,8 @@ export async function decryptFile(key, ciphertextBase64, ivBase64, options = {})
     {
       name: 'AES-GCM',
       iv: iv,
-      tagLength: 128
+      tagLength: 128,
+      ...encodeAdditionalData(options.additionalData)
     },
     key,
     ciphertext
@@ -320,14 +464,14 @@ export async function decryptFile(key, ciphertextBase64, ivBase64, options = {})
       const timestamp = Number(dataView.getBigUint64(0, false));
       
       // Validate timestamp for replay protection
-      const maxAge = options.maxAge || 3600000; // 1 hour
-      const age = Date.now() - timestamp;
+      const { reference = Date.now(), maxAge = 3600000, maxSkew = 60000 } = options;
+      const age = reference - timestamp;
       
       if (age > maxAge) {
         throw new Error('File timestamp too old - possible replay attack');
       }
       
-      if (age < -60000) { // Allow 1 minute clock skew
+      if (age < -maxSkew) {
         throw new Error('File timestamp is in the future - possible replay attack');
       }
       
@@ -348,8 +492,9 @@ export async function decryptFile(key, ciphertextBase64, ivBase64, options = {})
 /**
  * Encrypt file with AES-256-GCM
  * Simplified version: encrypts entire file with timestamp in single operation
+ * `additionalData` (optional string) is authenticated but not encrypted
  */
-export async function encryptFile(key, fileBuffer) {
+export async function encryptFile(key, fileBuffer, additionalData) {
   // Create payload with file data and timestamp for replay protection
   const fileArray = new Uint8Array(fileBuffer);
   const timestamp = Date.now();
@@ -371,7 +516,8 @@ export async function encryptFile(key, fileBuffer) {
     {
       name: 'AES-GCM',
       iv: iv,
-      tagLength: 128
+      tagLength: 128,
+      ...encodeAdditionalData(additionalData)
     },
     key,
     combined.buffer
@@ -403,6 +549,10 @@ export async function decryptFileChunk(key, ciphertextBase64, ivBase64) {
 }
 
 // Utility functions
+function encodeAdditionalData(additionalData) {
+  return additionalData === undefined ? {} : { additionalData: new TextEncoder().encode(additionalData) };
+}
+
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
   let binary = '';
@@ -0,0 +1,94 @@
+// Versioned message envelope
+// v2 binds the routing metadata (sender, recipient, keyId, sender sequence number, content type)
+// to the ciphertext as AES-GCM additional data, and the sender's identity key signs the whole
+// envelope, so a relay can neither splice ciphertext under another header nor rewrite metadata.
+// v1 (signature over the key exchange header only, no additional data) is rejected unless the
+// client is built with REACT_APP_ACCEPT_LEGACY_ENVELOPES=true.
+import { signData, verifySignature, importPublicKey } from './crypto';
+import { getIdentitySigningKey } from './storage';
+import { getUserPublicKey } from './api';
+
+export const ENVELOPE_VERSION = 2;
+
+export const CONTENT_TYPE = {
+  TEXT: 'text',
+  FILE: 'file'
+};
+
+export const ACCEPT_LEGACY_ENVELOPES = process.env.REACT_APP_ACCEPT_LEGACY_ENVELOPES === 'true';
+
+// Fields covered by envelopeSignature, in signing order; absent fields are signed as null
+const SIGNED_FIELDS = [
+  'envelopeVersion',
+  'contentType',
+  'senderId',
+  'recipientId',
+  'keyId',
+  'senderSeq',
+  'ciphertext',
+  'iv',
+  'ephemeralPublicKey',
+  'headerData',
+  'signature',
+  'ratchetHeader',
+  'filename',
+  'mimeType',
+  'size',
+  'chunks'
+];
+
+function serializeEnvelope(envelope) {
+  return JSON.stringify(SIGNED_FIELDS.map(field => envelope[field] ?? null));
+}
+
+/**
+ * AES-GCM additional data for an envelope's routing metadata
+ */
+export function envelopeAssociatedData({ contentType, senderId, recipientId, keyId, senderSeq }) {
+  return `encircle-envelope-v${ENVELOPE_VERSION}|${contentType}|${senderId}|${recipientId}|${keyId}|${senderSeq}`;
+}
+
+/**
+ * Sign a complete envelope (after encryption) with the identity signing key
+ */
+export async function signEnvelope(envelope) {
+  const envelopeSignature = await signData(await getIdentitySigningKey(), serializeEnvelope(envelope));
+  return { ...envelope, envelopeSignature };
+}
+
+/**
+ * Check a received envelope before decrypting it
+ * `envelope` is the stored message or file with `senderId` set to its sender.
+ * Returns { valid: true, version } or { valid: false, reason, error } where reason is
+ * 'legacy_envelope', 'invalid_envelope' or 'invalid_signature'.
+ */
+export async function verifyEnvelope(envelope, { userId, contentType }) {
+  const version = envelope.envelopeVersion || 1;
+
+  if (version === 1) {
+    return ACCEPT_LEGACY_ENVELOPES
+      ? { valid: true, version }
+      : { valid: false, reason: 'legacy_envelope', error: 'Legacy v1 envelope rejected - its metadata is not authenticated' };
+  }
+
+  if (version !== ENVELOPE_VERSION) {
+    return { valid: false, reason: 'invalid_envelope', error: `Unsupported envelope version ${version}` };
+  }
+
+  if (envelope.contentType !== contentType || envelope.recipientId !== userId ||
+      !Number.isInteger(envelope.senderSeq) || typeof envelope.envelopeSignature !== 'string') {
+    return { valid: false, reason: 'invalid_envelope', error: 'Envelope fields do not match the delivery' };
+  }
+
+  const senderData = await getUserPublicKey(envelope.senderId);
+  if (!senderData || !senderData.publicKey) {
+    throw new Error('Missing sender public key');
+  }
+
+  const signingKey = await importPublicKey(JSON.parse(senderData.publicKey).signing, 'ECDSA');
+  if (!(await verifySignature(signingKey, serializeEnvelope(envelope), envelope.envelopeSignature))) {
+    return { valid: false, reason: 'invalid_signature', error: 'Invalid envelope signature - potential MITM attack!' };
+  }
+
+  return { valid: true, version };
+}
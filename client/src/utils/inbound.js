@@ -0,0 +1,325 @@
+// Inbound pipeline shared by live socket deliveries, sync and history loads, for messages and files
+// Every received message or file goes through the same envelope, signature, freshness and duplicate checks.
+// Rejected messages are returned flagged, so the timeline shows them instead of hiding them.
+
+import { getUserPublicKey } from './api';
+import { completeKeyExchange, getMessageKey, decryptFromPeer } from './keyExchange';
+import { KeyExchangeValidationError, KEY_EXCHANGE_ERROR } from './keyExchangeValidation';
+import { decryptMessage } from './crypto';
+import {
+  checkSequenceNumber,
+  recordSequenceNumber,
+  claimSessionKey,
+  cacheMessagePlaintext,
+  getCachedPlaintext
+} from './storage';
+import { logSecurityEvent, EVENT_TYPES } from './securityLogger';
+import { verifyEnvelope, envelopeAssociatedData, ENVELOPE_VERSION, CONTENT_TYPE } from './envelope';
+
+export const INBOUND_SOURCE = {
+  LIVE: 'live',       // Socket push
+  SYNC: 'sync',       // Missed event replayed after a reconnect
+  HISTORY: 'history'  // Conversation history page
+};
+
+/**
+ * Freshness policy
+ *
+ * Ages are measured against the server's receipt time (`timestamp`), not the local clock alone:
+ * - every message must have been encrypted at most MAX_SEND_DELAY before the server stored it
+ *   (the outbox may hold a message that long while offline), and not after it (beyond CLOCK_SKEW)
+ * - live socket pushes must also arrive within LIVE_DELIVERY_WINDOW of being stored
+ * Stored messages (history, sync, file downloads) have no wall-clock limit; copies stored again
+ * later are caught by duplicate detection instead.
+ */
+export const MAX_SEND_DELAY = 24 * 60 * 60 * 1000;
+const LIVE_DELIVERY_WINDOW = 2 * 60 * 1000;
+const CLOCK_SKEW = 60 * 1000;
+
+/**
+ * decryptMessage / decryptFile options for a message the server stored at `storedAt`
+ */
+export function getFreshnessOptions(storedAt) {
+  return { reference: new Date(storedAt).getTime(), maxAge: MAX_SEND_DELAY, maxSkew: CLOCK_SKEW };
+}
+
+/**
+ * Whether a live push arrived within the delivery window of the server storing it
+ */
+function isFreshDelivery(storedAt) {
+  const delay = Date.now() - new Date(storedAt).getTime();
+  return delay <= LIVE_DELIVERY_WINDOW + CLOCK_SKEW && delay >= -CLOCK_SKEW;
+}
+
+const REJECTION_LABELS = {
+  replayed_sequence: '[Rejected: replayed message]',
+  reused_key: '[Rejected: replayed message]',
+  invalid_signature: '[Rejected: invalid signature]',
+  invalid_key_exchange: '[Rejected: invalid key exchange]',
+  invalid_envelope: '[Rejected: invalid envelope]',
+  legacy_envelope: '[Rejected: legacy message format]',
+  stale: '[Rejected: outdated message]'
+};
+
+/**
+ * Flag a message as rejected
+ */
+function rejectMessage(message, reason, error) {
+  return {
+    ...message,
+    plaintext: REJECTION_LABELS[reason],
+    decrypted: false,
+    rejected: true,
+    rejectionReason: reason,
+    error
+  };
+}
+
+/**
+ * Timeline entry for a message whose key exchange header failed validation
+ * (already logged as its own security event by the key exchange layer)
+ */
+function rejectKeyExchange(message, err) {
+  const reason = err.code === KEY_EXCHANGE_ERROR.INVALID_SIGNATURE ? 'invalid_signature'
+    : err.code === KEY_EXCHANGE_ERROR.STALE_HEADER ? 'stale'
+    : 'invalid_key_exchange';
+  return rejectMessage(message, reason, err.message);
+}
+
+/**
+ * Log a replay caught by the pipeline and flag the message
+ */
+async function rejectReplay(message, reason, error, source) {
+  await logSecurityEvent(
+    EVENT_TYPES.REPLAY_ATTACK,
+    `Replayed message from ${message.senderId} rejected (${source})`,
+    { messageId: message._id, keyId: message.keyId, conversationSeq: message.conversationSeq, reason, error }
+  );
+  return rejectMessage(message, reason, error);
+}
+
+/**
+ * Verify a received envelope (see verifyEnvelope), logging any rejection
+ */
+async function checkEnvelope(message, userId, contentType) {
+  const result = await verifyEnvelope(message, { userId, contentType });
+  if (result.valid) return result;
+
+  await logSecurityEvent(
+    result.reason === 'invalid_signature' ? EVENT_TYPES.INVALID_SIGNATURE : EVENT_TYPES.DECRYPTION_FAILURE,
+    `${contentType === CONTENT_TYPE.FILE ? 'File' : 'Message'} from ${message.senderId} rejected: ${result.error}`,
+    { messageId: message._id, keyId: message.keyId, reason: result.reason }
+  );
+  return result;
+}
+
+/**
+ * decryptFile options for a received file: freshness, plus the envelope's additional data
+ * Throws if the envelope is rejected
+ */
+export async function getFileDecryptionOptions(file, userId) {
+  const envelope = await checkEnvelope(file, userId, CONTENT_TYPE.FILE);
+  if (!envelope.valid) {
+    throw new Error(envelope.error);
+  }
+
+  return {
+    ...getFreshnessOptions(file.timestamp),
+    additionalData: envelope.version === ENVELOPE_VERSION ? envelopeAssociatedData(file) : undefined
+  };
+}
+
+/**
+ * Session key for a received message, running the signed key exchange if it is not stored yet
+ * Throws if the exchange fails; completeKeyExchange logs rejected headers itself
+ */
+async function resolveSessionKey(message, userId, source) {
+  const storedKey = await getMessageKey(message.keyId);
+  if (storedKey) return storedKey;
+
+  if (!message.ephemeralPublicKey || !message.headerData || !message.signature) {
+    return null;
+  }
+
+  const senderData = await getUserPublicKey(message.senderId);
+  if (!senderData || !senderData.publicKey) {
+    throw new Error('Missing sender public key');
+  }
+
+  const { sessionKey } = await completeKeyExchange(
+    userId,
+    message.senderId,
+    senderData.publicKey,
+    message.ephemeralPublicKey,
+    message.headerData,
+    message.signature,
+    { keyId: message.keyId, storedAt: message.timestamp }
+  );
+
+  if (source === INBOUND_SOURCE.LIVE) {
+    await logSecurityEvent(
+      EVENT_TYPES.KEY_EXCHANGE_SUCCESS,
+      `Key exchange completed with ${message.senderId}`,
+      { keyId: message.keyId }
+    );
+  }
+
+  return sessionKey;
+}
+
+/**
+ * Decrypt a message sent with a one-off key exchange (before Double Ratchet sessions)
+ * Returns { plaintext } or { entry } with the timeline entry for a failure
+ */
+async function decryptExchangedKeyMessage(message, userId, source) {
+  let sessionKey;
+  try {
+    sessionKey = await resolveSessionKey(message, userId, source);
+  } catch (err) {
+    if (err instanceof KeyExchangeValidationError) {
+      return { entry: rejectKeyExchange(message, err) };
+    }
+
+    console.error('Key exchange failed for message:', message._id, err);
+    await logSecurityEvent(
+      EVENT_TYPES.KEY_EXCHANGE_FAILURE,
+      `Key exchange failed with ${message.senderId}`,
+      { messageId: message._id, error: err.message }
+    );
+    return { entry: { ...message, plaintext: '[Key exchange failed]', decrypted: false, error: err.message } };
+  }
+
+  if (!sessionKey) {
+    return { entry: { ...message, plaintext: '[Encrypted]', decrypted: false } };
+  }
+
+  try {
+    const plaintext = await decryptMessage(sessionKey, message.ciphertext, message.iv, getFreshnessOptions(message.timestamp));
+    await cacheMessagePlaintext(message._id, plaintext);
+    return { plaintext };
+  } catch (err) {
+    return { entry: await decryptionFailure(message, err, source) };
+  }
+}
+
+/**
+ * Decrypt a Double Ratchet message (the session layer verifies the handshake of a new session)
+ * Returns { plaintext } or { entry } with the timeline entry for a failure
+ */
+async function decryptRatchetMessage(message, userId, source) {
+  try {
+    return { plaintext: await decryptFromPeer(userId, message, getFreshnessOptions(message.timestamp)) };
+  } catch (err) {
+    if (err instanceof KeyExchangeValidationError) {
+      return { entry: rejectKeyExchange(message, err) };
+    }
+
+    // The message key was consumed by an earlier copy of this message
+    if (err.message.includes('already used')) {
+      return { entry: await rejectReplay(message, 'reused_key', err.message, source) };
+    }
+
+    return { entry: await decryptionFailure(message, err, source) };
+  }
+}
+
+/**
+ * Timeline entry for a message that could not be decrypted
+ */
+async function decryptionFailure(message, err, source) {
+  if (err.message.includes('replay attack')) {
+    return rejectReplay(message, 'stale', err.message, source);
+  }
+
+  console.error('Decryption failed for message:', message._id, err);
+  await logSecurityEvent(
+    EVENT_TYPES.DECRYPTION_FAILURE,
+    `Failed to decrypt message from ${message.senderId}`,
+    { messageId: message._id, error: err.message }
+  );
+  return { ...message, plaintext: '[Decryption failed]', decrypted: false, error: err.message };
+}
+
+/**
+ * Whether an anti-replay window result means the message is a replayed copy
+ * History pages reach back past the window; those older messages rely on the key ID check alone.
+ */
+function isReplayedSequence({ accepted, reason }, source) {
+  return !accepted && !(source === INBOUND_SOURCE.HISTORY && reason === 'too_old');
+}
+
+/**
+ * Verify the envelope of a received file notification
+ * Files are decrypted when downloaded (see getFileDecryptionOptions); the timeline shows the name.
+ * Returns { plaintext } or { entry } with the timeline entry for a failure
+ */
+async function acceptFile(file, userId) {
+  const envelope = await checkEnvelope(file, userId, CONTENT_TYPE.FILE);
+  if (!envelope.valid) return { entry: rejectMessage(file, envelope.reason, envelope.error) };
+
+  return { plaintext: `📎 ${file.filename}` };
+}
+
+/**
+ * Verify and decrypt one received message or file (`isFile` set)
+ * `message` uses the timeline shape ({ _id, senderId, keyId, ciphertext, ... }).
+ * Returns the timeline entry: decrypted, undecryptable, or flagged as `rejected`.
+ * Decrypted text is cached, so each message is decrypted once per device.
+ */
+export async function processInboundMessage(message, { userId, source }) {
+  const cached = message.isFile ? null : await getCachedPlaintext(message._id);
+
+  // Our own messages were encrypted for the recipient; only text sent from this device is known
+  if (message.senderId === userId) {
+    return cached === null
+      ? { ...message, plaintext: '[Sent]', decrypted: false }
+      : { ...message, plaintext: cached, decrypted: true };
+  }
+
+  if (source === INBOUND_SOURCE.LIVE && !isFreshDelivery(message.timestamp)) {
+    return rejectReplay(message, 'stale', 'Live delivery arrived outside the freshness window', source);
+  }
+
+  // Cached text means this message was accepted here before and its sequence number recorded
+  let plaintext = cached;
+  if (plaintext === null) {
+    // Not accepted on this device yet, so it must be new to the sender's anti-replay window,
+    // whatever the source (e.g. history on a new device)
+    const sequence = message.conversationSeq
+      ? await checkSequenceNumber(message.senderId, message.conversationSeq)
+      : null;
+    if (sequence && isReplayedSequence(sequence, source)) {
+      return rejectReplay(message, 'replayed_sequence', `Sequence number ${message.conversationSeq} rejected: ${sequence.reason}`, source);
+    }
+
+    let result;
+    if (message.isFile) {
+      result = await acceptFile(message, userId);
+    } else {
+      const envelope = await checkEnvelope(message, userId, CONTENT_TYPE.TEXT);
+      if (!envelope.valid) return rejectMessage(message, envelope.reason, envelope.error);
+
+      result = message.ratchetHeader
+        ? await decryptRatchetMessage(message, userId, source)
+        : await decryptExchangedKeyMessage(message, userId, source);
+    }
+
+    if (result.entry) return result.entry;
+    plaintext = result.plaintext;
+
+    // Recorded only once accepted, so a copy that failed for a transient reason doesn't block a good one
+    if (sequence) {
+      const recorded = await recordSequenceNumber(message.senderId, message.conversationSeq);
+      if (isReplayedSequence(recorded, source)) {
+        return rejectReplay(message, 'replayed_sequence', `Sequence number ${message.conversationSeq} rejected: ${recorded.reason}`, source);
+      }
+    }
+  }
+
+  // Each keyId belongs to a single message, so another message under the same keyId is a copy
+  if (!(await claimSessionKey(message.keyId, message._id))) {
+    return rejectReplay(message, 'reused_key', 'Key ID was already used by another message', source);
+  }
+
+  return { ...message, plaintext, decrypted: true };
+}
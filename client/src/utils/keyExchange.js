@@ -1,71 +1,216 @@
 // Custom Key Exchange Protocol implementation
+// Asynchronous X3DH against the recipient's prekey bundle sets up each Double Ratchet session
+// (messages); files still use a one-off exchange per upload.
 import {
   generateEphemeralKeyPair,
   exportPublicKey,
   importECDHPublicKey,
-  deriveSharedKey,
+  deriveSharedSecret,
+  deriveX3DHSecret,
+  importSessionKey,
+  encodeMessagePayload,
+  decodeMessagePayload,
+  buildSignedPrekeyProof,
   signData,
   verifySignature,
   importPublicKey
 } from './crypto';
-import { getIdentitySigningKey, getIdentityDHKey, storeSessionKey, getSessionKey } from './storage';
+import { initSender, initReceiver, ratchetEncrypt, ratchetDecrypt } from './ratchet';
+import { getSignedPrekey, getOneTimePrekey, consumeOneTimePrekey } from './prekeys';
+import {
+  getIdentitySigningKey,
+  getIdentityDHKey,
+  storeSessionKey,
+  getSessionKey,
+  saveRatchetSession,
+  getRatchetSession,
+  getActiveRatchetSession,
+  setActiveRatchetSession,
+  cacheMessagePlaintext,
+  nextSendSequence
+} from './storage';
+import { getUserPublicKey, getPrekeyBundle } from './api';
 import { logSecurityEvent, EVENT_TYPES } from './securityLogger';
+import { ENVELOPE_VERSION, CONTENT_TYPE, envelopeAssociatedData, signEnvelope } from './envelope';
+import {
+  KEY_EXCHANGE_MAX_AGE,
+  KEY_EXCHANGE_ERROR,
+  KeyExchangeValidationError,
+  parseKeyExchangeHeader,
+  validateKeyExchangeHeader
+} from './keyExchangeValidation';
 
 /**
- * Initiator: Start key exchange with recipient
- * Returns keyId and ephemeral public key to send to recipient
+ * Own identity DH private key, which X3DH needs on both sides
  */
-export async function initiateKeyExchange(initiatorUserId, recipientUserId, recipientPublicKeyData) {
-  // Parse recipient's public keys
-  const recipientKeys = JSON.parse(recipientPublicKeyData);
+async function requireIdentityDHKey() {
+  const identityDHKey = await getIdentityDHKey();
   
-  // Generate ephemeral ECDH keypair
-  const ephemeralKeyPair = await generateEphemeralKeyPair();
+  // Validate we have a valid private key
+  if (!identityDHKey || typeof identityDHKey !== 'object' || !identityDHKey.type) {
+    throw new Error('Invalid or missing DH private key - please re-register');
+  }
   
-  // Export ephemeral public key
-  const ephemeralPubJwk = await exportPublicKey(ephemeralKeyPair.publicKey);
+  return identityDHKey;
+}
+
+/**
+ * Check that a signed prekey was signed by the owner's identity signing key
+ */
+async function verifySignedPrekey(ownerUserId, ownerKeys, signedPrekey) {
+  const signingKey = await importPublicKey(ownerKeys.signing, 'ECDSA');
+  const proof = buildSignedPrekeyProof(signedPrekey.keyId, signedPrekey.publicKey);
   
-  // Import recipient's DH public key for ECDH
-  const recipientECDHPubKey = await importECDHPublicKey(recipientKeys.dh);
+  if (!(await verifySignature(signingKey, proof, signedPrekey.signature))) {
+    await logSecurityEvent(
+      EVENT_TYPES.INVALID_SIGNATURE,
+      `Invalid signed prekey signature for ${ownerUserId} - potential MITM attack`,
+      { ownerUserId, signedPrekeyId: signedPrekey.keyId }
+    );
+    throw new Error('Invalid signature on signed prekey - potential MITM attack!');
+  }
+}
+
+/**
+ * Initiator side of X3DH with the recipient's prekey bundle
+ * DH1 = DH(IK_A, SPK_B), DH2 = DH(EK_A, IK_B), DH3 = DH(EK_A, SPK_B), DH4 = DH(EK_A, OPK_B) if a
+ * one-time prekey was handed out. Recipients who have not published a signed prekey yet get the
+ * plain ephemeral-static exchange with their identity DH key.
+ * Returns the signed header plus the shared secret and the recipient key the first ratchet step uses
+ */
+async function runX3DH(initiatorUserId, recipientUserId) {
+  const bundle = await getPrekeyBundle(recipientUserId);
   
-  // Derive shared key using ECDH + HKDF
-  const context = `${initiatorUserId}||${recipientUserId}||${Date.now()}`;
-  const sessionKey = await deriveSharedKey(
-    ephemeralKeyPair.privateKey,
-    recipientECDHPubKey,
-    context
-  );
+  if (!bundle || !bundle.publicKey) {
+    throw new Error('Recipient public key not found');
+  }
   
-  // Generate keyId
-  const keyId = generateKeyId();
+  // Parse recipient's public keys
+  const recipientKeys = JSON.parse(bundle.publicKey);
+  const recipientIdentityKey = await importECDHPublicKey(recipientKeys.dh);
   
-  // Store session key locally
-  await storeSessionKey(keyId, recipientUserId, sessionKey, ephemeralPubJwk);
+  // Generate ephemeral ECDH keypair
+  const ephemeralKeyPair = await generateEphemeralKeyPair();
+  const ephemeralPubJwk = await exportPublicKey(ephemeralKeyPair.publicKey);
   
-  // Sign the header for authenticity using signing key
-  const identitySigningKey = await getIdentitySigningKey();
-  const headerData = JSON.stringify({
+  const keyId = generateKeyId();
+  const context = `${initiatorUserId}||${recipientUserId}||${Date.now()}`;
+  const header = {
     ephemeralPublicKey: ephemeralPubJwk,
     keyId: keyId,
     timestamp: Date.now(),
     context: context
-  });
+  };
+  
+  let sharedSecret;
+  let remoteRatchetKey;
   
-  const signature = await signData(identitySigningKey, headerData);
+  if (bundle.signedPrekey) {
+    const { signedPrekey, oneTimePrekey } = bundle;
+    await verifySignedPrekey(recipientUserId, recipientKeys, signedPrekey);
+    
+    const signedPrekeyPub = await importECDHPublicKey(signedPrekey.publicKey);
+    const pairs = [
+      [await requireIdentityDHKey(), signedPrekeyPub],
+      [ephemeralKeyPair.privateKey, recipientIdentityKey],
+      [ephemeralKeyPair.privateKey, signedPrekeyPub]
+    ];
+    
+    header.signedPrekeyId = signedPrekey.keyId;
+    if (oneTimePrekey) {
+      pairs.push([ephemeralKeyPair.privateKey, await importECDHPublicKey(oneTimePrekey.publicKey)]);
+      header.oneTimePrekeyId = oneTimePrekey.keyId;
+    }
+    
+    sharedSecret = await deriveX3DHSecret(pairs, context);
+    remoteRatchetKey = signedPrekey.publicKey;
+  } else {
+    sharedSecret = await deriveSharedSecret(ephemeralKeyPair.privateKey, recipientIdentityKey, context);
+    remoteRatchetKey = recipientKeys.dh;
+  }
+  
+  // Sign the header for authenticity using signing key
+  const headerData = JSON.stringify(header);
+  const signature = await signData(await getIdentitySigningKey(), headerData);
   
   return {
     keyId,
     ephemeralPublicKey: ephemeralPubJwk,
     signature,
     headerData,
-    sessionKey,
-    context
+    context,
+    sharedSecret,
+    remoteRatchetKey
+  };
+}
+
+/**
+ * Responder side of X3DH for a verified header, using the prekeys it names
+ * Returns the shared secret, the key pair the initiator's first ratchet step used, and the
+ * one-time prekey to delete once the exchange has succeeded
+ */
+async function respondX3DH(header, ephemeralPublicKeyJwk, initiatorKeys) {
+  const identityDHKey = await requireIdentityDHKey();
+  const ephemeralKey = await importECDHPublicKey(ephemeralPublicKeyJwk);
+  
+  // Exchange made before the responder published prekeys
+  if (!header.signedPrekeyId) {
+    return {
+      sharedSecret: await deriveSharedSecret(identityDHKey, ephemeralKey, header.context),
+      ratchetKeyPair: { privateKey: identityDHKey, publicKey: null },
+      oneTimePrekeyId: null
+    };
+  }
+  
+  const signedPrekey = await getSignedPrekey(header.signedPrekeyId);
+  if (!signedPrekey) {
+    throw new Error('Key exchange uses an unknown or expired signed prekey');
+  }
+  
+  const pairs = [
+    [signedPrekey.privateKey, await importECDHPublicKey(initiatorKeys.dh)],
+    [identityDHKey, ephemeralKey],
+    [signedPrekey.privateKey, ephemeralKey]
+  ];
+  
+  if (header.oneTimePrekeyId) {
+    const oneTimePrekey = await getOneTimePrekey(header.oneTimePrekeyId);
+    if (!oneTimePrekey) {
+      throw new Error('Key exchange uses a one-time prekey that was already used or never issued');
+    }
+    pairs.push([oneTimePrekey.privateKey, ephemeralKey]);
+  }
+  
+  return {
+    sharedSecret: await deriveX3DHSecret(pairs, header.context),
+    ratchetKeyPair: { privateKey: signedPrekey.privateKey, publicKey: signedPrekey.publicKey },
+    oneTimePrekeyId: header.oneTimePrekeyId || null
+  };
+}
+
+/**
+ * Initiator: Start key exchange with recipient
+ * Runs X3DH with the recipient's prekey bundle; returns the keyId, session key and signed
+ * exchange data to send to the recipient
+ */
+export async function initiateKeyExchange(initiatorUserId, recipientUserId) {
+  const { sharedSecret, remoteRatchetKey, ...exchange } = await runX3DH(initiatorUserId, recipientUserId);
+  const sessionKey = await importSessionKey(sharedSecret);
+  
+  // Store session key locally
+  await storeSessionKey(exchange.keyId, recipientUserId, sessionKey, exchange.ephemeralPublicKey);
+  
+  return {
+    ...exchange,
+    sessionKey
   };
 }
 
 /**
  * Responder: Complete key exchange
- * Verifies initiator's signature and derives the same session key
+ * Verifies initiator's signature and the header contents, then derives the same session key.
+ * `expected` is { keyId, storedAt } of the message or file that carried the exchange.
+ * Throws KeyExchangeValidationError if the header does not belong to this exchange.
  */
 export async function completeKeyExchange(
   responderUserId,
@@ -73,7 +218,52 @@ export async function completeKeyExchange(
   initiatorPublicKeyData,
   ephemeralPublicKeyJwk,
   headerData,
-  signature
+  signature,
+  expected
+) {
+  const header = await verifyKeyExchangeHeader(
+    responderUserId,
+    initiatorUserId,
+    initiatorPublicKeyData,
+    headerData,
+    signature,
+    { ...expected, ephemeralPublicKey: ephemeralPublicKeyJwk }
+  );
+  const { keyId } = header;
+  
+  // Derive the same shared key
+  const { sharedSecret, oneTimePrekeyId } = await respondX3DH(
+    header,
+    ephemeralPublicKeyJwk,
+    JSON.parse(initiatorPublicKeyData)
+  );
+  const sessionKey = await importSessionKey(sharedSecret);
+  
+  // Store session key
+  await storeSessionKey(keyId, initiatorUserId, sessionKey, ephemeralPublicKeyJwk);
+  
+  if (oneTimePrekeyId) {
+    await consumeOneTimePrekey(oneTimePrekeyId);
+  }
+  
+  return {
+    keyId,
+    sessionKey
+  };
+}
+
+/**
+ * Verify the initiator's signature over a key exchange header, check the header against the
+ * exchange it arrived with (`expected`: { ephemeralPublicKey, keyId, storedAt }) and return it
+ * Each kind of failure is logged as its own security event.
+ */
+async function verifyKeyExchangeHeader(
+  responderUserId,
+  initiatorUserId,
+  initiatorPublicKeyData,
+  headerData,
+  signature,
+  expected
 ) {
   // Parse initiator's public keys
   const initiatorKeys = JSON.parse(initiatorPublicKeyData);
@@ -94,52 +284,234 @@ export async function completeKeyExchange(
       `Invalid signature detected from ${initiatorUserId} - potential MITM attack`,
       { initiatorUserId, responderUserId }
     );
-    throw new Error('Invalid signature - potential MITM attack!');
+    throw new KeyExchangeValidationError(KEY_EXCHANGE_ERROR.INVALID_SIGNATURE, 'Invalid signature - potential MITM attack!');
+  }
+  
+  try {
+    const header = parseKeyExchangeHeader(headerData);
+    validateKeyExchangeHeader(header, { ...expected, initiatorUserId, responderUserId });
+    return header;
+  } catch (err) {
+    if (err instanceof KeyExchangeValidationError) {
+      await logSecurityEvent(
+        err.eventType,
+        `Rejected key exchange from ${initiatorUserId}: ${err.message}`,
+        { initiatorUserId, responderUserId, keyId: expected.keyId, ...err.details }
+      );
+    }
+    throw err;
+  }
+}
+
+/**
+ * Retrieve session key for sending/receiving messages
+ */
+export async function getMessageKey(keyId) {
+  return await getSessionKey(keyId);
+}
+
+/**
+ * Generate unique key ID
+ */
+function generateKeyId() {
+  const array = new Uint8Array(16);
+  window.crypto.getRandomValues(array);
+  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// An unanswered handshake is replaced well before recipients would reject it as stale
+const HANDSHAKE_RESTART_AGE = KEY_EXCHANGE_MAX_AGE / 2;
+
+// Pending work per peer, so a session state is never updated by two messages at once
+const sessionQueues = new Map();
+
+function withSessionLock(peerId, task) {
+  const previous = sessionQueues.get(peerId) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  
+  sessionQueues.set(peerId, settled);
+  settled.then(() => {
+    if (sessionQueues.get(peerId) === settled) sessionQueues.delete(peerId);
+  });
+  
+  return run;
+}
+
+/**
+ * Authenticated data binding a ratchet message to its envelope metadata and session
+ * (v1 envelopes bound only the sender and recipient)
+ */
+function ratchetAssociatedData(envelope, sessionId) {
+  if (envelope.envelopeVersion !== ENVELOPE_VERSION) {
+    return `${envelope.senderId}|${envelope.recipientId}|${sessionId}`;
   }
+  return `${envelopeAssociatedData(envelope)}|${sessionId}`;
+}
+
+/**
+ * Start a Double Ratchet session with a peer
+ * X3DH gives the initial shared secret; the peer's signed prekey is their first ratchet key
+ */
+async function startRatchetSession(userId, peerId) {
+  const exchange = await runX3DH(userId, peerId);
   
-  // Parse header
-  const header = JSON.parse(headerData);
-  const { keyId, context } = header;
+  // The session ID is the keyId in the signed header
+  const sessionId = exchange.keyId;
   
-  // Import initiator's ephemeral public key
-  const initiatorEphemeralPubKey = await importECDHPublicKey(ephemeralPublicKeyJwk);
+  const session = {
+    sessionId,
+    peerId,
+    role: 'initiator',
+    state: await initSender(exchange.sharedSecret, exchange.remoteRatchetKey),
+    // Sent with every message until the peer replies, so any of them can set up the session
+    handshake: {
+      ephemeralPublicKey: exchange.ephemeralPublicKey,
+      headerData: exchange.headerData,
+      signature: exchange.signature
+    },
+    createdAt: Date.now()
+  };
   
-  // Get responder's DH private key for key exchange
-  const responderDHKey = await getIdentityDHKey();
+  await saveRatchetSession(session);
+  await setActiveRatchetSession(peerId, sessionId);
+  return session;
+}
+
+/**
+ * Set up the responder side of a session from the handshake carried by a message
+ * Returns the session and the one-time prekey it used
+ */
+async function acceptRatchetSession(userId, peerId, sessionId, message) {
+  if (!message.ephemeralPublicKey || !message.headerData || !message.signature) {
+    throw new Error('Unknown ratchet session and no key exchange to start it');
+  }
   
-  // Validate we have a valid private key
-  if (!responderDHKey || typeof responderDHKey !== 'object' || !responderDHKey.type) {
-    throw new Error('Invalid or missing DH private key - please re-register');
+  const peerData = await getUserPublicKey(peerId);
+  
+  if (!peerData || !peerData.publicKey) {
+    throw new Error('Missing sender public key');
   }
   
-  // Derive the same shared key
-  const sessionKey = await deriveSharedKey(
-    responderDHKey,
-    initiatorEphemeralPubKey,
-    context
+  const header = await verifyKeyExchangeHeader(
+    userId,
+    peerId,
+    peerData.publicKey,
+    message.headerData,
+    message.signature,
+    { ephemeralPublicKey: message.ephemeralPublicKey, keyId: sessionId, storedAt: message.timestamp }
   );
   
-  // Store session key
-  await storeSessionKey(keyId, initiatorUserId, sessionKey, ephemeralPublicKeyJwk);
+  const { sharedSecret, ratchetKeyPair, oneTimePrekeyId } = await respondX3DH(
+    header,
+    header.ephemeralPublicKey,
+    JSON.parse(peerData.publicKey)
+  );
   
   return {
-    keyId,
-    sessionKey
+    session: {
+      sessionId,
+      peerId,
+      role: 'responder',
+      state: initReceiver(sharedSecret, ratchetKeyPair),
+      handshake: null,
+      createdAt: Date.now()
+    },
+    oneTimePrekeyId
   };
 }
 
 /**
- * Retrieve session key for sending/receiving messages
+ * Encrypt a message for a peer with their Double Ratchet session, starting one if needed
+ * Returns the signed v2 envelope fields to send: keyId (unique per message), senderSeq, ciphertext,
+ * iv, ratchetHeader and, until the peer has replied, the signed key exchange (ephemeralPublicKey,
+ * headerData, signature)
  */
-export async function getMessageKey(keyId) {
-  return await getSessionKey(keyId);
+export function encryptForPeer(userId, peerId, text) {
+  return withSessionLock(peerId, async () => {
+    let session = await getActiveRatchetSession(peerId);
+    if (!session || (session.handshake && Date.now() - session.createdAt > HANDSHAKE_RESTART_AGE)) {
+      session = await startRatchetSession(userId, peerId);
+    }
+    
+    const envelope = {
+      envelopeVersion: ENVELOPE_VERSION,
+      contentType: CONTENT_TYPE.TEXT,
+      senderId: userId,
+      recipientId: peerId,
+      keyId: generateKeyId(),
+      senderSeq: await nextSendSequence(peerId)
+    };
+    
+    const { state, header, ciphertext, iv } = await ratchetEncrypt(
+      session.state,
+      encodeMessagePayload(text),
+      ratchetAssociatedData(envelope, session.sessionId)
+    );
+    
+    await saveRatchetSession({ ...session, state });
+    
+    // The server sets the sender from the authenticated request
+    const { senderId, ...fields } = await signEnvelope({
+      ...envelope,
+      ciphertext,
+      iv,
+      ratchetHeader: JSON.stringify({ sessionId: session.sessionId, ...header }),
+      ...session.handshake
+    });
+    return fields;
+  });
 }
 
 /**
- * Generate unique key ID
+ * Decrypt a received Double Ratchet message
+ * `message` is the stored message ({ _id, senderId, recipientId, ratchetHeader, ciphertext, iv, ... })
+ * whose envelope has been verified (see verifyEnvelope);
+ * `options` are the payload freshness options (see decodeMessagePayload).
+ * The text is cached before the session state advances, since each message key works only once.
  */
-function generateKeyId() {
-  const array = new Uint8Array(16);
-  window.crypto.getRandomValues(array);
-  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+export function decryptFromPeer(userId, message, options = {}) {
+  const peerId = message.senderId;
+  
+  return withSessionLock(peerId, async () => {
+    const { sessionId, ...header } = JSON.parse(message.ratchetHeader);
+    
+    let session = await getRatchetSession(sessionId);
+    let oneTimePrekeyId = null;
+    const isNewSession = !session;
+    
+    if (session && session.peerId !== peerId) {
+      throw new Error('Ratchet session belongs to another user');
+    }
+    
+    if (isNewSession) {
+      ({ session, oneTimePrekeyId } = await acceptRatchetSession(userId, peerId, sessionId, message));
+    }
+    
+    const { state, plaintext } = await ratchetDecrypt(
+      session.state,
+      header,
+      message.ciphertext,
+      message.iv,
+      ratchetAssociatedData(message, sessionId)
+    );
+    const text = decodeMessagePayload(plaintext, options);
+    
+    await cacheMessagePlaintext(message._id, text);
+    // The peer has the session once they send on it, so the handshake no longer needs repeating
+    await saveRatchetSession({ ...session, state, handshake: null });
+    
+    // Reply on the session the peer started (if both started one at once, each ends up on the other's)
+    if (isNewSession) {
+      await setActiveRatchetSession(peerId, sessionId);
+      
+      // The session state now holds everything derived from it
+      if (oneTimePrekeyId) {
+        await consumeOneTimePrekey(oneTimePrekeyId);
+      }
+    }
+    
+    return text;
+  });
 }
+
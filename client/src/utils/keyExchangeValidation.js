@@ -0,0 +1,108 @@
+// Key exchange header validation
+// The signature proves who wrote a header; these checks make sure it is the header for this
+// exchange: it names the ephemeral key actually used, the message's keyId and the real
+// participants, and it was written recently.
+import { EVENT_TYPES } from './securityLogger';
+
+// Oldest header accepted, measured against when the server stored the message carrying it
+export const KEY_EXCHANGE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const CLOCK_SKEW = 60 * 1000;
+
+export const KEY_EXCHANGE_ERROR = {
+  INVALID_SIGNATURE: 'invalid_signature',
+  MALFORMED_HEADER: 'malformed_header',
+  EPHEMERAL_KEY_MISMATCH: 'ephemeral_key_mismatch',
+  KEY_ID_MISMATCH: 'key_id_mismatch',
+  CONTEXT_MISMATCH: 'context_mismatch',
+  STALE_HEADER: 'stale_header'
+};
+
+// Security event logged for each failure, so the dashboard can tell them apart
+const ERROR_EVENTS = {
+  [KEY_EXCHANGE_ERROR.INVALID_SIGNATURE]: EVENT_TYPES.INVALID_SIGNATURE,
+  [KEY_EXCHANGE_ERROR.MALFORMED_HEADER]: EVENT_TYPES.KEY_EXCHANGE_MALFORMED_HEADER,
+  [KEY_EXCHANGE_ERROR.EPHEMERAL_KEY_MISMATCH]: EVENT_TYPES.KEY_EXCHANGE_EPHEMERAL_MISMATCH,
+  [KEY_EXCHANGE_ERROR.KEY_ID_MISMATCH]: EVENT_TYPES.KEY_EXCHANGE_KEY_ID_MISMATCH,
+  [KEY_EXCHANGE_ERROR.CONTEXT_MISMATCH]: EVENT_TYPES.KEY_EXCHANGE_CONTEXT_MISMATCH,
+  [KEY_EXCHANGE_ERROR.STALE_HEADER]: EVENT_TYPES.KEY_EXCHANGE_STALE_HEADER
+};
+
+/**
+ * A key exchange header that failed verification
+ * `code` is one of KEY_EXCHANGE_ERROR, `eventType` the security event to log for it
+ */
+export class KeyExchangeValidationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'KeyExchangeValidationError';
+    this.code = code;
+    this.eventType = ERROR_EVENTS[code];
+    this.details = details;
+  }
+}
+
+/**
+ * Parse signed header data, checking it has every field the exchange relies on
+ */
+export function parseKeyExchangeHeader(headerData) {
+  let header;
+  try {
+    header = JSON.parse(headerData);
+  } catch (error) {
+    throw new KeyExchangeValidationError(KEY_EXCHANGE_ERROR.MALFORMED_HEADER, 'Key exchange header is not valid JSON');
+  }
+
+  if (!header || typeof header !== 'object' ||
+      typeof header.ephemeralPublicKey !== 'string' ||
+      typeof header.keyId !== 'string' ||
+      !Number.isFinite(header.timestamp) ||
+      typeof header.context !== 'string') {
+    throw new KeyExchangeValidationError(KEY_EXCHANGE_ERROR.MALFORMED_HEADER, 'Key exchange header is missing required fields');
+  }
+
+  return header;
+}
+
+/**
+ * Check a parsed header against the exchange it arrived with
+ * `expected`: { initiatorUserId, responderUserId, ephemeralPublicKey, keyId, storedAt }
+ * where `storedAt` is when the server stored the message (defaults to now)
+ */
+export function validateKeyExchangeHeader(header, expected) {
+  if (header.ephemeralPublicKey !== expected.ephemeralPublicKey) {
+    throw new KeyExchangeValidationError(
+      KEY_EXCHANGE_ERROR.EPHEMERAL_KEY_MISMATCH,
+      'Key exchange header names a different ephemeral key than the one sent'
+    );
+  }
+
+  if (header.keyId !== expected.keyId) {
+    throw new KeyExchangeValidationError(
+      KEY_EXCHANGE_ERROR.KEY_ID_MISMATCH,
+      'Key exchange header is for a different key ID',
+      { headerKeyId: header.keyId }
+    );
+  }
+
+  // context is `${initiatorUserId}||${responderUserId}||${timestamp}`
+  const [initiatorUserId, responderUserId, ...rest] = header.context.split('||');
+  if (rest.length !== 1 ||
+      initiatorUserId !== expected.initiatorUserId ||
+      responderUserId !== expected.responderUserId) {
+    throw new KeyExchangeValidationError(
+      KEY_EXCHANGE_ERROR.CONTEXT_MISMATCH,
+      'Key exchange context names different participants',
+      { context: header.context }
+    );
+  }
+
+  const reference = expected.storedAt === undefined ? Date.now() : new Date(expected.storedAt).getTime();
+  const age = reference - header.timestamp;
+  if (age > KEY_EXCHANGE_MAX_AGE || age < -CLOCK_SKEW) {
+    throw new KeyExchangeValidationError(
+      KEY_EXCHANGE_ERROR.STALE_HEADER,
+      age > 0 ? 'Key exchange header is too old' : 'Key exchange header is from the future',
+      { headerTimestamp: header.timestamp }
+    );
+  }
+}
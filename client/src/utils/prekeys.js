@@ -0,0 +1,144 @@
+// X3DH prekeys: a signed prekey rotated weekly and a supply of one-time prekeys
+// Private keys stay in IndexedDB; only the public halves are published to the server.
+import { generatePrekeyPair, signData, buildSignedPrekeyProof } from './crypto';
+import {
+  getIdentitySigningKey,
+  storePrekey,
+  getPrekey,
+  getPrekeysByType,
+  deletePrekey
+} from './storage';
+import { getPrekeyStatus, uploadSignedPrekey, uploadOneTimePrekeys } from './api';
+
+const SIGNED_PREKEY_ROTATION = 7 * 24 * 60 * 60 * 1000;
+// A replaced signed prekey is kept this long for key exchanges already in flight
+const SIGNED_PREKEY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+// Top the server back up to ONE_TIME_PREKEY_TARGET once fewer than ONE_TIME_PREKEY_MINIMUM are left
+const ONE_TIME_PREKEY_TARGET = 100;
+const ONE_TIME_PREKEY_MINIMUM = 20;
+
+const SIGNED_PREKEY = 'signedPrekey';
+const ONE_TIME_PREKEY = 'oneTimePrekey';
+
+let publishing = null;
+
+function generatePrekeyId() {
+  const array = new Uint8Array(16);
+  window.crypto.getRandomValues(array);
+  return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function prekeyRecordId(type, keyId) {
+  return `${type}_${keyId}`;
+}
+
+/**
+ * Generate, sign and publish a new signed prekey
+ */
+async function rotateSignedPrekey(previous) {
+  const keyId = generatePrekeyId();
+  const { privateKey, publicKey } = await generatePrekeyPair();
+  const signature = await signData(await getIdentitySigningKey(), buildSignedPrekeyProof(keyId, publicKey));
+
+  // Store the private key first, so a published prekey always has one
+  await storePrekey({
+    id: prekeyRecordId(SIGNED_PREKEY, keyId),
+    type: SIGNED_PREKEY,
+    keyId,
+    privateKey,
+    publicKey,
+    createdAt: Date.now()
+  });
+  await uploadSignedPrekey({ keyId, publicKey, signature });
+
+  if (previous) {
+    await storePrekey({ ...previous, replacedAt: Date.now() });
+  }
+}
+
+/**
+ * Generate and publish `count` one-time prekeys
+ */
+async function addOneTimePrekeys(count, replace) {
+  const prekeys = [];
+
+  for (let i = 0; i < count; i++) {
+    const keyId = generatePrekeyId();
+    const { privateKey, publicKey } = await generatePrekeyPair();
+
+    await storePrekey({
+      id: prekeyRecordId(ONE_TIME_PREKEY, keyId),
+      type: ONE_TIME_PREKEY,
+      keyId,
+      privateKey,
+      publicKey,
+      createdAt: Date.now()
+    });
+    prekeys.push({ keyId, publicKey });
+  }
+
+  await uploadOneTimePrekeys(prekeys, replace);
+}
+
+async function refreshPrekeys() {
+  const status = await getPrekeyStatus();
+  const current = status.signedPrekey
+    ? await getPrekey(prekeyRecordId(SIGNED_PREKEY, status.signedPrekey.keyId))
+    : null;
+
+  // Also replaces a published prekey whose private key is not on this device (e.g. site data was cleared)
+  if (!current || Date.now() - current.createdAt > SIGNED_PREKEY_ROTATION) {
+    await rotateSignedPrekey(current);
+  }
+
+  // Every one-time prekey on the server is also stored here until it is used, so fewer
+  // here means the server holds some this device cannot use: replace them all
+  const stored = await getPrekeysByType(ONE_TIME_PREKEY);
+  const replace = stored.length < status.oneTimePrekeyCount;
+  const available = replace ? 0 : status.oneTimePrekeyCount;
+
+  if (available < ONE_TIME_PREKEY_MINIMUM) {
+    await addOneTimePrekeys(ONE_TIME_PREKEY_TARGET - available, replace);
+  }
+
+  const signedPrekeys = await getPrekeysByType(SIGNED_PREKEY);
+  await Promise.all(signedPrekeys
+    .filter(prekey => prekey.replacedAt && Date.now() - prekey.replacedAt > SIGNED_PREKEY_RETENTION)
+    .map(prekey => deletePrekey(prekey.id)));
+}
+
+/**
+ * Rotate the signed prekey when due and replenish one-time prekeys when running low
+ * Concurrent callers share one run
+ */
+export function publishPrekeys() {
+  if (!publishing) {
+    publishing = refreshPrekeys().finally(() => {
+      publishing = null;
+    });
+  }
+  return publishing;
+}
+
+/**
+ * Get a signed prekey (current or recently replaced) by ID, or null
+ */
+export async function getSignedPrekey(keyId) {
+  return getPrekey(prekeyRecordId(SIGNED_PREKEY, keyId));
+}
+
+/**
+ * Get an unused one-time prekey by ID, or null
+ */
+export async function getOneTimePrekey(keyId) {
+  return getPrekey(prekeyRecordId(ONE_TIME_PREKEY, keyId));
+}
+
+/**
+ * Delete a one-time prekey once a key exchange has used it, and replenish if needed
+ */
+export async function consumeOneTimePrekey(keyId) {
+  await deletePrekey(prekeyRecordId(ONE_TIME_PREKEY, keyId));
+
+  publishPrekeys().catch(err => console.error('Failed to replenish prekeys:', err));
+}
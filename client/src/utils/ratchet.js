@@ -0,0 +1,254 @@
+// Double Ratchet (Signal specification) over the Web Crypto API
+// P-256 ECDH for DH ratchet steps, HKDF-SHA256 for the root chain, HMAC-SHA256 for the
+// sending/receiving chains and AES-256-GCM for message keys.
+// This module has no imports so the interop tests can load it under Node (security-tests/).
+// Session states are plain objects of ArrayBuffers, JWK strings and CryptoKeys, which IndexedDB stores as-is.
+
+// Most message keys that may be skipped in one chain, and kept per session
+export const MAX_SKIP = 1000;
+const MAX_STORED_SKIPPED = 2000;
+
+const ROOT_INFO = new TextEncoder().encode('EncircleDoubleRatchet');
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * New ratchet key pair; the private key is non-extractable, the public key a JWK string
+ */
+export async function generateRatchetKeyPair() {
+  const keyPair = await window.crypto.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits']);
+  const publicJwk = await window.crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+  return { privateKey: keyPair.privateKey, publicKey: JSON.stringify(publicJwk) };
+}
+
+async function dh(privateKey, publicKeyJwk) {
+  const publicKey = await window.crypto.subtle.importKey('jwk', JSON.parse(publicKeyJwk), ECDH_PARAMS, false, []);
+  return window.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+}
+
+/**
+ * KDF_RK: HKDF salted with the root key over a DH output -> [new root key, chain key]
+ */
+async function kdfRoot(rootKey, dhOutput) {
+  const material = await window.crypto.subtle.importKey('raw', dhOutput, 'HKDF', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: rootKey, info: ROOT_INFO },
+    material,
+    512
+  );
+  return [bits.slice(0, 32), bits.slice(32)];
+}
+
+/**
+ * KDF_CK: HMAC of the chain key -> [next chain key, message key]
+ */
+async function kdfChain(chainKey) {
+  const hmacKey = await window.crypto.subtle.importKey(
+    'raw',
+    chainKey,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const [messageKey, nextChainKey] = await Promise.all([
+    window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([1])),
+    window.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([2]))
+  ]);
+  return [nextChainKey, messageKey];
+}
+
+function importMessageKey(messageKey, usage) {
+  return window.crypto.subtle.importKey('raw', messageKey, { name: 'AES-GCM' }, false, [usage]);
+}
+
+/**
+ * Authenticated data for a message: the caller's binding (e.g. participants) plus the header
+ */
+function buildAssociatedData(associatedData, header) {
+  return new TextEncoder().encode(`${associatedData}|${header.dh}|${header.pn}|${header.n}`);
+}
+
+/**
+ * Copy a state so a failed decryption leaves the original untouched
+ */
+function cloneState(state) {
+  return { ...state, skipped: { ...state.skipped } };
+}
+
+function validateHeader(header) {
+  if (!header || typeof header.dh !== 'string' ||
+      !Number.isInteger(header.pn) || header.pn < 0 ||
+      !Number.isInteger(header.n) || header.n < 0) {
+    throw new Error('Invalid ratchet header');
+  }
+}
+
+/**
+ * Initial state for the party that sends first
+ * `remotePublicKey` is the peer's initial ratchet public key (JWK string)
+ */
+export async function initSender(sharedSecret, remotePublicKey) {
+  const dhSelf = await generateRatchetKeyPair();
+  const [rootKey, sendChainKey] = await kdfRoot(sharedSecret, await dh(dhSelf.privateKey, remotePublicKey));
+
+  return {
+    rootKey,
+    sendChainKey,
+    recvChainKey: null,
+    dhSelf,
+    dhRemote: remotePublicKey,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {}
+  };
+}
+
+/**
+ * Initial state for the party that receives first
+ * `ownKeyPair.privateKey` must match the public key the sender initialised with
+ */
+export function initReceiver(sharedSecret, ownKeyPair) {
+  return {
+    rootKey: sharedSecret,
+    sendChainKey: null,
+    recvChainKey: null,
+    dhSelf: ownKeyPair,
+    dhRemote: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {}
+  };
+}
+
+/**
+ * Encrypt with the next sending message key
+ * Returns { state, header, ciphertext, iv }; the caller persists `state`
+ */
+export async function ratchetEncrypt(state, plaintext, associatedData = '') {
+  if (!state.sendChainKey) {
+    throw new Error('Session cannot send before it has received a message');
+  }
+
+  const next = cloneState(state);
+  const [chainKey, messageKey] = await kdfChain(next.sendChainKey);
+  const header = { dh: next.dhSelf.publicKey, pn: next.pn, n: next.ns };
+
+  next.sendChainKey = chainKey;
+  next.ns += 1;
+
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: buildAssociatedData(associatedData, header), tagLength: 128 },
+    await importMessageKey(messageKey, 'encrypt'),
+    plaintext
+  );
+
+  return {
+    state: next,
+    header,
+    ciphertext: bytesToBase64(ciphertext),
+    iv: bytesToBase64(iv)
+  };
+}
+
+/**
+ * Store the receiving chain's keys up to (not including) message `until`
+ */
+async function skipMessageKeys(state, until) {
+  if (!state.recvChainKey) return;
+
+  if (until - state.nr > MAX_SKIP) {
+    throw new Error('Too many skipped messages');
+  }
+
+  while (state.nr < until) {
+    const [chainKey, messageKey] = await kdfChain(state.recvChainKey);
+    state.recvChainKey = chainKey;
+    state.skipped[`${state.dhRemote}|${state.nr}`] = messageKey;
+    state.nr += 1;
+  }
+
+  // Drop the oldest skipped keys beyond the limit (object keys keep insertion order)
+  const ids = Object.keys(state.skipped);
+  for (const id of ids.slice(0, Math.max(0, ids.length - MAX_STORED_SKIPPED))) {
+    delete state.skipped[id];
+  }
+}
+
+/**
+ * DH ratchet step on a new remote ratchet key
+ */
+async function dhRatchet(state, header) {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhRemote = header.dh;
+
+  [state.rootKey, state.recvChainKey] = await kdfRoot(state.rootKey, await dh(state.dhSelf.privateKey, state.dhRemote));
+  state.dhSelf = await generateRatchetKeyPair();
+  [state.rootKey, state.sendChainKey] = await kdfRoot(state.rootKey, await dh(state.dhSelf.privateKey, state.dhRemote));
+}
+
+async function decryptWithKey(messageKey, header, ciphertext, iv, associatedData) {
+  return window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(iv), additionalData: buildAssociatedData(associatedData, header), tagLength: 128 },
+    await importMessageKey(messageKey, 'decrypt'),
+    base64ToBytes(ciphertext)
+  );
+}
+
+/**
+ * Decrypt a received message, stepping the ratchet as needed
+ * Returns { state, plaintext }. Throws without changing anything if the message does not
+ * authenticate or its key was already used (a replay), so the caller keeps the old state.
+ */
+export async function ratchetDecrypt(state, header, ciphertext, iv, associatedData = '') {
+  validateHeader(header);
+
+  const next = cloneState(state);
+  const skippedId = `${header.dh}|${header.n}`;
+
+  // Late message from an earlier chain or position
+  const skippedKey = next.skipped[skippedId];
+  if (skippedKey) {
+    const plaintext = await decryptWithKey(skippedKey, header, ciphertext, iv, associatedData);
+    delete next.skipped[skippedId];
+    return { state: next, plaintext };
+  }
+
+  if (header.dh !== next.dhRemote) {
+    await skipMessageKeys(next, header.pn);
+    await dhRatchet(next, header);
+  } else if (header.n < next.nr) {
+    throw new Error('Message key already used - possible replay attack');
+  }
+
+  await skipMessageKeys(next, header.n);
+
+  const [chainKey, messageKey] = await kdfChain(next.recvChainKey);
+  next.recvChainKey = chainKey;
+  next.nr += 1;
+
+  const plaintext = await decryptWithKey(messageKey, header, ciphertext, iv, associatedData);
+  return { state: next, plaintext };
+}
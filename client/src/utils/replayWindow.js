@@ -0,0 +1,58 @@
+// Sliding-window anti-replay check (as in IPsec ESP / DTLS)
+// Tracks the highest sequence number seen plus a bitmap of the WINDOW_SIZE numbers below it,
+// so late but unseen messages are accepted while true duplicates are rejected.
+
+export const WINDOW_SIZE = 128;
+const WINDOW_MASK = (1n << BigInt(WINDOW_SIZE)) - 1n;
+
+/**
+ * Empty window for a sender nothing has been received from
+ * The bitmap is kept as a hex string so it survives IndexedDB round trips everywhere
+ */
+export function createReplayWindow() {
+  return { highest: 0, bitmap: '0' };
+}
+
+/**
+ * Check a received sequence number against a window state
+ * Returns { accepted, reason, window } where `window` is the updated state to persist.
+ * Bit i of the bitmap stands for sequence number `highest - i`.
+ * Reasons: 'invalid' (not a positive integer), 'duplicate' (already seen),
+ * 'too_old' (below the window, so it can no longer be told apart from a replay)
+ */
+export function checkReplayWindow(state, sequenceNumber) {
+  if (!Number.isInteger(sequenceNumber) || sequenceNumber < 1) {
+    return { accepted: false, reason: 'invalid', window: state };
+  }
+
+  const highest = state.highest;
+  const bitmap = BigInt(`0x${state.bitmap}`);
+
+  // Ahead of everything seen: slide the window forward
+  if (sequenceNumber > highest) {
+    const shift = BigInt(sequenceNumber - highest);
+    const slid = shift >= BigInt(WINDOW_SIZE) ? 1n : ((bitmap << shift) | 1n) & WINDOW_MASK;
+    return {
+      accepted: true,
+      reason: null,
+      window: { highest: sequenceNumber, bitmap: slid.toString(16) }
+    };
+  }
+
+  const offset = highest - sequenceNumber;
+  if (offset >= WINDOW_SIZE) {
+    return { accepted: false, reason: 'too_old', window: state };
+  }
+
+  const bit = 1n << BigInt(offset);
+  if (bitmap & bit) {
+    return { accepted: false, reason: 'duplicate', window: state };
+  }
+
+  // Late but unseen: accept and mark it
+  return {
+    accepted: true,
+    reason: null,
+    window: { highest, bitmap: (bitmap | bit).toString(16) }
+  };
+}
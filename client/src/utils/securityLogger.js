@@ -3,25 +3,43 @@
  * Sends security events to backend for centralized logging
  */
 
+import { getAuthToken, refreshAccessToken } from './api';
+
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+/**
+ * Fetch with the current access token, refreshing it once on 401
+ */
+async function authorizedFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${getAuthToken()}`
+    }
+  });
+
+  const response = await send();
+  if (response.status === 401 && await refreshAccessToken()) {
+    return send();
+  }
+  return response;
+}
+
 /**
  * Log a security event to the backend
  */
 export async function logSecurityEvent(eventType, details = '', metadata = {}) {
   try {
-    const token = localStorage.getItem('authToken');
-    
-    if (!token) {
+    if (!getAuthToken()) {
       console.warn('Cannot log security event: No auth token');
       return;
     }
 
-    await fetch(`${API_BASE}/security/log`, {
+    await authorizedFetch(`${API_BASE}/security/log`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         eventType,
@@ -39,17 +57,11 @@ export async function logSecurityEvent(eventType, details = '', metadata = {}) {
  * Get security statistics
  */
 export async function getSecurityStats() {
-  const token = localStorage.getItem('authToken');
-  
-  if (!token) {
+  if (!getAuthToken()) {
     throw new Error('Not authenticated');
   }
 
-  const response = await fetch(`${API_BASE}/security/stats`, {
-    headers: {
-      'Authorization': `Bearer ${token}`
-    }
-  });
+  const response = await authorizedFetch(`${API_BASE}/security/stats`);
 
   if (!response.ok) {
     if (response.status === 401) {
@@ -65,9 +77,7 @@ export async function getSecurityStats() {
  * Get security logs
  */
 export async function getSecurityLogs(filters = {}) {
-  const token = localStorage.getItem('authToken');
-  
-  if (!token) {
+  if (!getAuthToken()) {
     throw new Error('Not authenticated');
   }
 
@@ -77,11 +87,7 @@ export async function getSecurityLogs(filters = {}) {
   if (filters.page) params.append('page', filters.page);
   if (filters.limit) params.append('limit', filters.limit);
 
-  const response = await fetch(`${API_BASE}/security/logs?${params.toString()}`, {
-    headers: {
-      'Authorization': `Bearer ${token}`
-    }
-  });
+  const response = await authorizedFetch(`${API_BASE}/security/logs?${params.toString()}`);
 
   if (!response.ok) {
     if (response.status === 401) {
@@ -107,5 +113,18 @@ export const EVENT_TYPES = {
   KEY_EXCHANGE_FAILURE: 'key_exchange_failure',
   PUBLIC_KEY_ACCESS: 'public_key_access',
   REGISTRATION_SUCCESS: 'registration_success',
-  REGISTRATION_FAILURE: 'registration_failure'
+  REGISTRATION_FAILURE: 'registration_failure',
+  SESSION_REVOKED: 'session_revoked',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  ACCOUNT_LOCKED: 'account_locked',
+  TOTP_ENROLLED: 'totp_enrolled',
+  TOTP_DISABLED: 'totp_disabled',
+  TOTP_FAILURE: 'totp_failure',
+  SOCKET_AUTH_FAILURE: 'socket_auth_failure',
+  SOCKET_ROOM_VIOLATION: 'socket_room_violation',
+  KEY_EXCHANGE_MALFORMED_HEADER: 'key_exchange_malformed_header',
+  KEY_EXCHANGE_EPHEMERAL_MISMATCH: 'key_exchange_ephemeral_mismatch',
+  KEY_EXCHANGE_KEY_ID_MISMATCH: 'key_exchange_key_id_mismatch',
+  KEY_EXCHANGE_CONTEXT_MISMATCH: 'key_exchange_context_mismatch',
+  KEY_EXCHANGE_STALE_HEADER: 'key_exchange_stale_header'
 };
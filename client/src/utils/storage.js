@@ -1,10 +1,15 @@
 // IndexedDB wrapper for secure key storage
 // Private keys are stored as non-extractable CryptoKey objects
 
+import { createReplayWindow, checkReplayWindow } from './replayWindow';
+
 const DB_NAME = 'EncircleDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const KEYS_STORE = 'keys';
 const SESSIONS_STORE = 'sessions';
+const OUTBOX_STORE = 'outbox';
+const RATCHET_STORE = 'ratchetSessions';
+const MESSAGE_CACHE_STORE = 'messageCache';
 
 let db = null;
 
@@ -37,6 +42,23 @@ export async function initDB() {
         const sessionsStore = db.createObjectStore(SESSIONS_STORE, { keyPath: 'keyId' });
         sessionsStore.createIndex('recipientId', 'recipientId', { unique: false });
       }
+      
+      // Store for encrypted messages and files waiting to be sent
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        const outboxStore = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        outboxStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+      
+      // Store for Double Ratchet session states
+      if (!db.objectStoreNames.contains(RATCHET_STORE)) {
+        const ratchetStore = db.createObjectStore(RATCHET_STORE, { keyPath: 'sessionId' });
+        ratchetStore.createIndex('peerId', 'peerId', { unique: false });
+      }
+      
+      // Store for decrypted message text (ratchet message keys can only be used once)
+      if (!db.objectStoreNames.contains(MESSAGE_CACHE_STORE)) {
+        db.createObjectStore(MESSAGE_CACHE_STORE, { keyPath: 'messageId' });
+      }
     };
   });
 }
@@ -44,7 +66,7 @@ export async function initDB() {
 /**
  * Store identity keypair
  */
-export async function storeIdentityKeyPair(keyPairs, userId) {
+export async function storeIdentityKeyPair(keyPairs, userId, username) {
   await initDB();
   
   return new Promise((resolve, reject) => {
@@ -55,6 +77,7 @@ export async function storeIdentityKeyPair(keyPairs, userId) {
       id: 'identity',
       type: 'identity',
       userId: userId,
+      username: username,
       signingPrivateKey: keyPairs.signing.privateKey,
       signingPublicKey: keyPairs.signing.publicKey,
       dhPrivateKey: keyPairs.dh.privateKey,
@@ -91,6 +114,29 @@ export async function getIdentitySigningKey() {
   });
 }
 
+/**
+ * Get the account the stored identity keys belong to
+ * Returns { userId, username } or null (username is missing for older key records)
+ */
+export async function getIdentityInfo() {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEYS_STORE], 'readonly');
+    const store = transaction.objectStore(KEYS_STORE);
+    const request = store.get('identity');
+    
+    request.onsuccess = () => {
+      if (request.result) {
+        resolve({ userId: request.result.userId, username: request.result.username || null });
+      } else {
+        resolve(null);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get identity DH private key (for ECDH key exchange)
  */
@@ -212,19 +258,65 @@ export async function getSessionKey(keyId) {
 }
 
 /**
- * Clear all stored keys (logout)
+ * Record which message a session key decrypted
+ * Returns false if the key was already claimed by a different message (a replayed copy)
  */
-export async function clearAllKeys() {
+export async function claimSessionKey(keyId, messageId) {
   await initDB();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([KEYS_STORE, SESSIONS_STORE], 'readwrite');
+    const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
+    const store = transaction.objectStore(SESSIONS_STORE);
+    const claimKey = `claim_${keyId}`;
+    const request = store.get(claimKey);
     
-    const keysStore = transaction.objectStore(KEYS_STORE);
-    const sessionsStore = transaction.objectStore(SESSIONS_STORE);
+    request.onsuccess = () => {
+      const claimedBy = request.result?.messageId;
+      
+      if (claimedBy && claimedBy !== messageId) {
+        resolve(false);
+        return;
+      }
+      
+      if (!claimedBy) {
+        store.put({ keyId: claimKey, messageId });
+      }
+      resolve(true);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Clear per-login state on logout: queued outgoing items
+ * Ratchet sessions and decrypted message text are kept for as long as the identity keys:
+ * peers keep sending on their sessions without a new handshake, and a message key works
+ * only once. Forget this device (clearAllKeys) removes all of it.
+ */
+export async function clearSessionState() {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE], 'readwrite');
+    
+    transaction.objectStore(OUTBOX_STORE).clear();
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Clear all stored keys (forget this device)
+ */
+export async function clearAllKeys() {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const stores = [KEYS_STORE, SESSIONS_STORE, OUTBOX_STORE, RATCHET_STORE, MESSAGE_CACHE_STORE];
+    const transaction = db.transaction(stores, 'readwrite');
     
-    keysStore.clear();
-    sessionsStore.clear();
+    stores.forEach(name => transaction.objectStore(name).clear());
     
     transaction.oncomplete = () => resolve();
     transaction.onerror = () => reject(transaction.error);
@@ -294,55 +386,297 @@ export async function validateIdentityKeys() {
 }
 
 /**
- * Get next sequence number for a conversation
+ * Check a received conversation sequence number against the sender's anti-replay window
+ * without changing it
+ * Returns { accepted, reason } (see checkReplayWindow)
  */
-export async function getNextSequenceNumber(recipientId) {
+export async function checkSequenceNumber(senderId, sequenceNumber) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSIONS_STORE], 'readonly');
+    const request = transaction.objectStore(SESSIONS_STORE).get(`replay_window_${senderId}`);
+    
+    request.onsuccess = () => {
+      const { accepted, reason } = checkReplayWindow(request.result?.window || createReplayWindow(), sequenceNumber);
+      resolve({ accepted, reason });
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Record a sequence number in the sender's anti-replay window once its message is accepted
+ * The check and the window update run in one transaction, so concurrent deliveries can't both pass
+ * Returns { accepted, reason } (see checkReplayWindow)
+ */
+export async function recordSequenceNumber(senderId, sequenceNumber) {
   await initDB();
   
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
     const store = transaction.objectStore(SESSIONS_STORE);
-    const seqKey = `seq_${recipientId}`;
-    const request = store.get(seqKey);
+    const windowKey = `replay_window_${senderId}`;
+    const request = store.get(windowKey);
     
     request.onsuccess = () => {
-      const currentSeq = request.result?.sequenceNumber || 0;
-      const nextSeq = currentSeq + 1;
+      const current = request.result?.window || createReplayWindow();
+      const result = checkReplayWindow(current, sequenceNumber);
       
-      // Store updated sequence number
-      store.put({ keyId: seqKey, sequenceNumber: nextSeq });
-      resolve(nextSeq);
+      if (result.accepted) {
+        store.put({ keyId: windowKey, window: result.window });
+      }
+      resolve({ accepted: result.accepted, reason: result.reason });
     };
     request.onerror = () => reject(request.error);
   });
 }
 
 /**
- * Validate and update sequence number for received message
- * Returns true if valid, false if replay detected
+ * Queue an encrypted message or file for sending
+ * Items only ever hold the encrypted request body, never plaintext
+ */
+export async function addOutboxItem(item) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE], 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    const request = store.add(item);
+    
+    request.onsuccess = () => resolve(item);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all queued items, oldest first
+ */
+export async function getOutboxItems() {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE], 'readonly');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    const request = store.index('createdAt').getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Update fields of a queued item (status, attempts, payload...)
+ */
+export async function updateOutboxItem(id, changes) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE], 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    const request = store.get(id);
+    
+    request.onsuccess = () => {
+      if (!request.result) {
+        resolve(null);
+        return;
+      }
+      
+      const updated = { ...request.result, ...changes };
+      store.put(updated);
+      resolve(updated);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Remove an item once sent or cancelled
+ */
+export async function removeOutboxItem(id) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE], 'readwrite');
+    const store = transaction.objectStore(OUTBOX_STORE);
+    const request = store.delete(id);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save a Double Ratchet session record
+ * { sessionId, peerId, role, state, handshake, createdAt, updatedAt }
+ */
+export async function saveRatchetSession(session) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RATCHET_STORE], 'readwrite');
+    const request = transaction.objectStore(RATCHET_STORE).put({ ...session, updatedAt: Date.now() });
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get a Double Ratchet session by ID
+ */
+export async function getRatchetSession(sessionId) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([RATCHET_STORE], 'readonly');
+    const request = transaction.objectStore(RATCHET_STORE).get(sessionId);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Choose the session used for sending to a peer
  */
-export async function validateSequenceNumber(senderId, receivedSeq) {
+export async function setActiveRatchetSession(peerId, sessionId) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
+    const request = transaction.objectStore(SESSIONS_STORE).put({ keyId: `ratchet_active_${peerId}`, sessionId });
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the session used for sending to a peer, or null
+ */
+export async function getActiveRatchetSession(peerId) {
+  await initDB();
+  
+  const pointer = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSIONS_STORE], 'readonly');
+    const request = transaction.objectStore(SESSIONS_STORE).get(`ratchet_active_${peerId}`);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  return pointer ? getRatchetSession(pointer.sessionId) : null;
+}
+
+/**
+ * Next sequence number for an envelope sent to a peer (0, 1, 2 ...)
+ */
+export async function nextSendSequence(peerId) {
   await initDB();
   
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([SESSIONS_STORE], 'readwrite');
     const store = transaction.objectStore(SESSIONS_STORE);
-    const seqKey = `recv_seq_${senderId}`;
-    const request = store.get(seqKey);
+    const counterKey = `send_seq_${peerId}`;
+    const request = store.get(counterKey);
     
     request.onsuccess = () => {
-      const lastSeq = request.result?.sequenceNumber || 0;
-      
-      // Check if received sequence is greater than last seen
-      if (receivedSeq <= lastSeq) {
-        console.warn(`Replay attack detected! Received seq ${receivedSeq}, expected > ${lastSeq}`);
-        resolve(false);
-      } else {
-        // Update last seen sequence number
-        store.put({ keyId: seqKey, sequenceNumber: receivedSeq });
-        resolve(true);
-      }
+      const sequenceNumber = request.result ? request.result.next : 0;
+      store.put({ keyId: counterKey, next: sequenceNumber + 1 });
+      resolve(sequenceNumber);
     };
     request.onerror = () => reject(request.error);
   });
 }
+
+/**
+ * Keep the decrypted text of a message
+ */
+export async function cacheMessagePlaintext(messageId, plaintext) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_CACHE_STORE], 'readwrite');
+    const request = transaction.objectStore(MESSAGE_CACHE_STORE).put({ messageId, plaintext });
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the decrypted text of a message, or null if it was never decrypted on this device
+ */
+export async function getCachedPlaintext(messageId) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_CACHE_STORE], 'readonly');
+    const request = transaction.objectStore(MESSAGE_CACHE_STORE).get(messageId);
+    
+    request.onsuccess = () => resolve(request.result ? request.result.plaintext : null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store an X3DH prekey private key
+ * { id, type ('signedPrekey' | 'oneTimePrekey'), keyId, privateKey, publicKey, createdAt }
+ */
+export async function storePrekey(prekey) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEYS_STORE], 'readwrite');
+    const request = transaction.objectStore(KEYS_STORE).put(prekey);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get a stored prekey by record ID, or null
+ */
+export async function getPrekey(id) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEYS_STORE], 'readonly');
+    const request = transaction.objectStore(KEYS_STORE).get(id);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all stored prekeys of one type
+ */
+export async function getPrekeysByType(type) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEYS_STORE], 'readonly');
+    const request = transaction.objectStore(KEYS_STORE).index('type').getAll(type);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete a stored prekey
+ */
+export async function deletePrekey(id) {
+  await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEYS_STORE], 'readwrite');
+    const request = transaction.objectStore(KEYS_STORE).delete(id);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
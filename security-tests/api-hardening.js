@@ -0,0 +1,216 @@
+// API hardening tests against a running server (with MongoDB): malformed socket events,
+// page size limits on the history and sync routes, and sockets of revoked sessions.
+// Registers throwaway users; registration is rate limited, so restart the server before
+// running the tests again within 15 minutes.
+//
+// Run with: npm run test:api (API_URL defaults to http://localhost:5000)
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { io } = require('socket.io-client');
+const colors = require('colors');
+
+// crypto.js targets the browser
+globalThis.window = globalThis;
+
+const API_URL = process.env.API_URL || 'http://localhost:5000';
+const CRYPTO_MODULE = pathToFileURL(path.join(__dirname, '../client/src/utils/crypto.js')).href;
+
+let failures = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(colors.green(`✅ ${name}`));
+    } catch (error) {
+        failures++;
+        console.log(colors.red(`❌ ${name}`));
+        console.log(colors.red(`   ${error.message}`));
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function request(method, route, { token, body } = {}) {
+    const response = await fetch(`${API_URL}/api${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+/**
+ * Connect a socket with an access token, resolving once the server has accepted it
+ */
+function connectSocket(token) {
+    return new Promise((resolve, reject) => {
+        const socket = io(API_URL, { auth: { token }, transports: ['websocket'], reconnection: false });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+/**
+ * Resolve with the disconnect reason, or null if the socket is still connected after `ms`
+ */
+function waitForDisconnect(socket, ms = 2000) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), ms);
+        socket.once('disconnect', reason => {
+            clearTimeout(timer);
+            resolve(reason);
+        });
+    });
+}
+
+async function main() {
+    const cryptoUtils = await import(CRYPTO_MODULE);
+    const sockets = [];
+
+    /**
+     * Register a user with a fresh identity key, as the client's Register screen does
+     */
+    async function registerUser(name) {
+        const username = `${name}_${Date.now().toString(36)}`;
+        const keyPairs = await cryptoUtils.generateIdentityKeyPair();
+        const signingJwk = await cryptoUtils.exportPublicKey(keyPairs.signing.publicKey);
+        const publicKey = JSON.stringify({
+            signing: signingJwk,
+            dh: await cryptoUtils.exportPublicKey(keyPairs.dh.publicKey)
+        });
+        const keyFingerprint = await cryptoUtils.calculateKeyFingerprint(signingJwk);
+
+        const challenge = await request('POST', '/auth/register/challenge');
+        assert(challenge.status === 200, `Registration challenge failed: ${challenge.status}`);
+        const { nonce } = challenge.body;
+
+        const proofSignature = await cryptoUtils.signData(
+            keyPairs.signing.privateKey,
+            cryptoUtils.buildRegistrationProof(nonce, username, keyFingerprint)
+        );
+        const registered = await request('POST', '/auth/register', {
+            body: { username, password: 'correct horse battery staple', publicKey, keyFingerprint, challenge: nonce, proofSignature }
+        });
+        assert(registered.status === 201, `Registration failed: ${registered.status} ${registered.body?.error}`);
+
+        return { userId: registered.body.userId, token: registered.body.token };
+    }
+
+    /**
+     * Store a message from one user to another (the server does not inspect the ciphertext)
+     */
+    async function sendMessage(sender, recipient) {
+        const sent = await request('POST', '/messages', {
+            token: sender.token,
+            body: {
+                recipientId: recipient.userId,
+                ciphertext: Buffer.from('ciphertext').toString('base64'),
+                iv: Buffer.from('iv').toString('base64'),
+                keyId: crypto.randomUUID(),
+                ratchetHeader: '{}'
+            }
+        });
+        assert(sent.status === 201, `Sending a message failed: ${sent.status} ${sent.body?.error}`);
+    }
+
+    async function openSocket(user) {
+        const socket = await connectSocket(user.token);
+        sockets.push(socket);
+        return socket;
+    }
+
+    console.log(colors.cyan.bold(`🛡️  API HARDENING TESTS (${API_URL})\n`));
+
+    const alice = await registerUser('alice');
+    const bob = await registerUser('bob');
+    const SEEDED_MESSAGES = 3;
+    for (let i = 0; i < SEEDED_MESSAGES; i++) {
+        await sendMessage(alice, bob);
+    }
+
+    await test('Malformed typing events are ignored and the server keeps running', async () => {
+        const socket = await openSocket(alice);
+
+        for (const payload of [null, 'typing', 42, true, [], { peerId: { $ne: null } }, { peerId: 'not-an-id' }]) {
+            socket.emit('typing', payload);
+        }
+        socket.emit('typing');
+
+        const disconnected = await waitForDisconnect(socket, 1000);
+        assert(disconnected === null, `Socket was disconnected: ${disconnected}`);
+
+        const presence = await socket.timeout(2000).emitWithAck('get_presence');
+        assert(Array.isArray(presence), 'Server stopped answering on the socket');
+        const users = await request('GET', '/users', { token: alice.token });
+        assert(users.status === 200, `Server stopped answering requests: ${users.status}`);
+    });
+
+    await test('Conversation page size is clamped: limit=-1 and other negatives return one message', async () => {
+        for (const limit of [-1, -5]) {
+            const page = await request('GET', `/conversations/${alice.userId}/messages?limit=${limit}`, { token: bob.token });
+            assert(page.status === 200, `limit=${limit} answered ${page.status}`);
+            assert(page.body.messages.length === 1, `limit=${limit} returned ${page.body.messages.length} messages`);
+            assert(page.body.hasMore && page.body.nextCursor, `limit=${limit} did not page on`);
+        }
+    });
+
+    await test('Conversation limit=0 and limit=abc fall back to the default page size', async () => {
+        for (const limit of ['0', 'abc']) {
+            const page = await request('GET', `/conversations/${alice.userId}/messages?limit=${limit}`, { token: bob.token });
+            assert(page.status === 200, `limit=${limit} answered ${page.status}`);
+            assert(page.body.messages.length === SEEDED_MESSAGES, `limit=${limit} returned ${page.body.messages.length} messages`);
+            assert(!page.body.hasMore, `limit=${limit} reported more messages`);
+        }
+    });
+
+    await test('Sync page size is clamped: limit=-1 returns one event', async () => {
+        const page = await request('GET', '/sync?after=0&limit=-1', { token: bob.token });
+        assert(page.status === 200, `limit=-1 answered ${page.status}`);
+        assert(page.body.events.length === 1, `limit=-1 returned ${page.body.events.length} events`);
+        assert(page.body.hasMore && page.body.cursor === page.body.events[0].data.syncSeq, 'limit=-1 did not page on');
+
+        const fallback = await request('GET', '/sync?after=0&limit=abc', { token: bob.token });
+        assert(fallback.status === 200 && fallback.body.events.length === SEEDED_MESSAGES,
+            `limit=abc returned ${fallback.body?.events?.length} events`);
+    });
+
+    // These revoke the test users' sessions, so they run last
+    await test('Logging out disconnects the socket opened with that session', async () => {
+        const socket = await openSocket(bob);
+
+        const loggedOut = await request('POST', '/auth/logout', { token: bob.token });
+        assert(loggedOut.status === 200, `Logout failed: ${loggedOut.status}`);
+
+        const reason = await waitForDisconnect(socket);
+        assert(reason === 'io server disconnect', `Socket was not disconnected by the server: ${reason}`);
+    });
+
+    await test('Revoking all sessions disconnects their sockets', async () => {
+        const socket = await openSocket(alice);
+
+        const revoked = await request('DELETE', '/auth/sessions', { token: alice.token });
+        assert(revoked.status === 200, `Revoking sessions failed: ${revoked.status}`);
+
+        const reason = await waitForDisconnect(socket);
+        assert(reason === 'io server disconnect', `Socket was not disconnected by the server: ${reason}`);
+    });
+
+    sockets.forEach(socket => socket.disconnect());
+
+    console.log('');
+    if (failures > 0) {
+        console.log(colors.red.bold(`${failures} test(s) failed`));
+        process.exit(1);
+    }
+    console.log(colors.green.bold('All API hardening tests passed'));
+}
+
+main().catch(error => {
+    console.error(colors.red(`Test run failed: ${error.message}`));
+    process.exit(1);
+});
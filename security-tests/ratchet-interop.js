@@ -0,0 +1,209 @@
+// Double Ratchet interop tests: two simulated clients exchange messages through
+// client/src/utils/ratchet.js, with each state round-tripped through structuredClone
+// after every step, as IndexedDB does between page loads.
+//
+// Run with: npm run test:ratchet
+const path = require('path');
+const { pathToFileURL } = require('url');
+const colors = require('colors');
+
+// ratchet.js targets the browser
+globalThis.window = globalThis;
+
+const RATCHET_MODULE = pathToFileURL(path.join(__dirname, '../client/src/utils/ratchet.js')).href;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let failures = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(colors.green(`✅ ${name}`));
+    } catch (error) {
+        failures++;
+        console.log(colors.red(`❌ ${name}`));
+        console.log(colors.red(`   ${error.message}`));
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function assertRejects(promise, message) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error(message);
+}
+
+async function main() {
+    const ratchet = await import(RATCHET_MODULE);
+
+    /**
+     * A simulated client: its state is persisted (cloned) after every operation
+     */
+    function createClient(name, state) {
+        return {
+            name,
+            state: structuredClone(state),
+
+            async send(text, associatedData = 'alice|bob') {
+                const result = await ratchet.ratchetEncrypt(this.state, encoder.encode(text), associatedData);
+                this.state = structuredClone(result.state);
+                return { header: result.header, ciphertext: result.ciphertext, iv: result.iv, text };
+            },
+
+            async receive(message, associatedData = 'alice|bob') {
+                const result = await ratchet.ratchetDecrypt(
+                    this.state,
+                    message.header,
+                    message.ciphertext,
+                    message.iv,
+                    associatedData
+                );
+                this.state = structuredClone(result.state);
+                return decoder.decode(result.plaintext);
+            }
+        };
+    }
+
+    async function createPair() {
+        const sharedSecret = crypto.getRandomValues(new Uint8Array(32)).buffer;
+        const bobInitialKey = await ratchet.generateRatchetKeyPair();
+
+        const alice = createClient('alice', await ratchet.initSender(sharedSecret, bobInitialKey.publicKey));
+        const bob = createClient('bob', ratchet.initReceiver(sharedSecret, bobInitialKey));
+        return { alice, bob };
+    }
+
+    async function expectText(client, message) {
+        const text = await client.receive(message);
+        assert(text === message.text, `${client.name} decrypted "${text}", expected "${message.text}"`);
+    }
+
+    console.log(colors.cyan.bold('🔁 DOUBLE RATCHET INTEROP TESTS\n'));
+
+    await test('Messages in order, both directions, over several DH ratchet steps', async () => {
+        const { alice, bob } = await createPair();
+
+        for (let round = 0; round < 3; round++) {
+            await expectText(bob, await alice.send(`alice ${round}.1`));
+            await expectText(bob, await alice.send(`alice ${round}.2`));
+            await expectText(alice, await bob.send(`bob ${round}.1`));
+        }
+    });
+
+    await test('Each DH ratchet step changes the ratchet key', async () => {
+        const { alice, bob } = await createPair();
+
+        const first = await alice.send('one');
+        await expectText(bob, first);
+        const reply = await bob.send('two');
+        await expectText(alice, reply);
+        const second = await alice.send('three');
+
+        assert(first.header.dh !== second.header.dh, 'Alice reused her ratchet key after receiving a reply');
+        assert(reply.header.dh !== first.header.dh, 'Bob replied with Alice\'s ratchet key');
+    });
+
+    await test('Out-of-order messages within a chain use skipped message keys', async () => {
+        const { alice, bob } = await createPair();
+        const messages = [];
+        for (let i = 1; i <= 4; i++) {
+            messages.push(await alice.send(`m${i}`));
+        }
+
+        for (const index of [2, 0, 3, 1]) {
+            await expectText(bob, messages[index]);
+        }
+        assert(Object.keys(bob.state.skipped).length === 0, 'Skipped keys were not deleted after use');
+    });
+
+    await test('Late message from a previous chain after a DH ratchet step', async () => {
+        const { alice, bob } = await createPair();
+
+        const a1 = await alice.send('a1');
+        const a2 = await alice.send('a2');
+        await expectText(bob, a1);
+        await expectText(alice, await bob.send('b1'));
+
+        const a3 = await alice.send('a3');
+        assert(a3.header.pn === 2, `Expected pn 2, got ${a3.header.pn}`);
+        await expectText(bob, a3);
+        await expectText(bob, a2);
+    });
+
+    await test('Replayed message is rejected and the session keeps working', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send('m1');
+        await expectText(bob, m1);
+        const error = await assertRejects(bob.receive(m1), 'Replay was accepted');
+        assert(error.message.includes('already used'), `Unexpected error: ${error.message}`);
+
+        await expectText(bob, await alice.send('m2'));
+    });
+
+    await test('Replayed skipped message is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send('m1');
+        const m2 = await alice.send('m2');
+        await expectText(bob, m2);
+        await expectText(bob, m1);
+        await assertRejects(bob.receive(m1), 'Replay of a skipped message was accepted');
+    });
+
+    await test('Tampered ciphertext is rejected without corrupting the state', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send('m1');
+        const bytes = Buffer.from(m1.ciphertext, 'base64');
+        bytes[0] ^= 0xff;
+        await assertRejects(bob.receive({ ...m1, ciphertext: bytes.toString('base64') }), 'Tampered ciphertext was accepted');
+
+        await expectText(bob, m1);
+    });
+
+    await test('Tampered header or associated data is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send('m1');
+        await assertRejects(bob.receive({ ...m1, header: { ...m1.header, pn: 5 } }), 'Tampered header was accepted');
+        await assertRejects(bob.receive(m1, 'mallory|bob'), 'Wrong sender binding was accepted');
+
+        await expectText(bob, m1);
+    });
+
+    await test(`More than ${ratchet.MAX_SKIP} skipped messages are rejected`, async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send('m1');
+        await expectText(bob, m1);
+        const forged = { ...m1, header: { ...m1.header, n: ratchet.MAX_SKIP + 2 } };
+        const error = await assertRejects(bob.receive(forged), 'Skipping past the limit was accepted');
+        assert(error.message.includes('Too many skipped'), `Unexpected error: ${error.message}`);
+    });
+
+    await test('Receiver cannot send before the first message arrives', async () => {
+        const { bob } = await createPair();
+        await assertRejects(bob.send('too early'), 'Receiver sent before being initialised by a message');
+    });
+
+    console.log('');
+    if (failures > 0) {
+        console.log(colors.red.bold(`${failures} test(s) failed`));
+        process.exit(1);
+    }
+    console.log(colors.green.bold('All Double Ratchet interop tests passed'));
+}
+
+main().catch(error => {
+    console.error(colors.red(`Test run failed: ${error.message}`));
+    process.exit(1);
+});
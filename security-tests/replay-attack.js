@@ -24,13 +24,19 @@ async function performReplay(url, headers, body) {
         // Remove host header to avoid conflicts
         delete headers['host'];
         delete headers['content-length'];
+        // Without the client's Idempotency-Key, the replay has to be caught by replay detection
+        delete headers['idempotency-key'];
 
         const response = await axios.post(url, body, { headers });
-        console.log(colors.green(`❌ SERVER ACCEPTED REPLAY! Status: ${response.status}`));
+        console.log(colors.red(`❌ SERVER ACCEPTED REPLAY! Status: ${response.status}`));
         console.log(colors.white("This means the Backend stored the duplicate. Check Client logs for rejection."));
     } catch (error) {
-        if (error.response) {
-            console.log(colors.green(`✅ Server Rejected Replay! Status: ${error.response.status} - ${error.response.data.error}`));
+        if (error.response?.status === 409) {
+            // Server-side replay detection (duplicate keyId)
+            console.log(colors.green(`✅ Server Rejected Replay! Status: 409 - ${error.response.data.error} (${error.response.data.reason})`));
+        } else if (error.response) {
+            // Rejected for another reason (rate limit, expired token...), not by replay detection
+            console.log(colors.yellow(`⚠️ Replay failed for an unrelated reason. Status: ${error.response.status} - ${error.response.data.error}`));
         } else {
             console.log(colors.red(`Attack Error: ${error.message}`));
         }
@@ -0,0 +1,47 @@
+// In-memory stand-in for client/src/utils/api.js, answering from the simulated server
+// Requests are made as the peer named by this module's `peer` query
+import { getAccount } from './server.mjs';
+
+const peer = new URL(import.meta.url).searchParams.get('peer');
+
+export function getAuthToken() {
+    return peer;
+}
+
+export async function refreshAccessToken() {
+    return false;
+}
+
+export async function getUserPublicKey(userId) {
+    return { userId, publicKey: getAccount(userId).publicKey };
+}
+
+// Hands out (and removes) one of the user's one-time prekeys, like the real endpoint
+export async function getPrekeyBundle(userId) {
+    const account = getAccount(userId);
+    return structuredClone({
+        userId,
+        publicKey: account.publicKey,
+        signedPrekey: account.signedPrekey,
+        oneTimePrekey: account.oneTimePrekeys.shift() || null
+    });
+}
+
+export async function getPrekeyStatus() {
+    const { signedPrekey, oneTimePrekeys } = getAccount(peer);
+    return {
+        signedPrekey: signedPrekey ? { keyId: signedPrekey.keyId } : null,
+        oneTimePrekeyCount: oneTimePrekeys.length
+    };
+}
+
+export async function uploadSignedPrekey(signedPrekey) {
+    getAccount(peer).signedPrekey = structuredClone(signedPrekey);
+    return { message: 'Signed prekey published' };
+}
+
+export async function uploadOneTimePrekeys(prekeys, replace = false) {
+    const account = getAccount(peer);
+    account.oneTimePrekeys = [...(replace ? [] : account.oneTimePrekeys), ...structuredClone(prekeys)];
+    return { count: account.oneTimePrekeys.length };
+}
@@ -0,0 +1,38 @@
+// Module hooks that let Node load client/src/utils for session-interop.js
+// The client imports its siblings without file extensions (the bundler resolves them), so the
+// hooks add them, and swap api.js (the REST API) and securityLogger.js for the in-memory
+// doubles in this folder. Each simulated peer imports keyExchange.js with its own
+// `?peer=<userId>` query, which is passed on to every module it imports, so each peer has its
+// own module instances; its storage.js is pointed at its own in-memory IndexedDB.
+import path from 'node:path';
+
+const CLIENT_UTILS = new URL('../../client/src/utils/', import.meta.url).href;
+const CLIENT_STORAGE = new URL('storage.js', CLIENT_UTILS).href;
+const DOUBLES = new Set(['./api', './securityLogger']);
+
+export async function resolve(specifier, context, nextResolve) {
+    const { parentURL } = context;
+
+    if (!parentURL || !parentURL.startsWith(CLIENT_UTILS) ||
+        !specifier.startsWith('./') || path.extname(specifier)) {
+        return nextResolve(specifier, context);
+    }
+
+    const target = DOUBLES.has(specifier)
+        ? new URL(`${specifier.slice(2)}.mjs`, import.meta.url)
+        : new URL(`${specifier}.js`, parentURL);
+    target.search = new URL(parentURL).search;
+
+    return { url: target.href, shortCircuit: true };
+}
+
+// storage.js opens the global `indexedDB`; shadow it with the peer's own database
+// (on the first line, so line numbers in stack traces stay the same)
+export async function load(url, context, nextLoad) {
+    const result = await nextLoad(url, context);
+    if (!url.startsWith(`${CLIENT_STORAGE}?`)) return result;
+
+    const peer = new URL(url).searchParams.get('peer');
+    const prelude = `const indexedDB = globalThis.peerIndexedDB(${JSON.stringify(peer)});`;
+    return { ...result, source: prelude + String(result.source) };
+}
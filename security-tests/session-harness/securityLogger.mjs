@@ -0,0 +1,10 @@
+// Stand-in for client/src/utils/securityLogger.js that records events on the simulated server
+import { securityEvents } from './server.mjs';
+
+export { EVENT_TYPES } from '../../client/src/utils/securityLogger.js';
+
+const peer = new URL(import.meta.url).searchParams.get('peer');
+
+export async function logSecurityEvent(eventType, details = '', metadata = {}) {
+    securityEvents.push({ userId: peer, eventType, details, metadata });
+}
@@ -0,0 +1,31 @@
+// Simulated server shared by every peer: published keys, prekey bundles, stored messages
+// and the security log
+const accounts = new Map();
+let nextMessageId = 1;
+
+export const securityEvents = [];
+
+export function registerAccount(userId, publicKey) {
+    accounts.set(userId, { userId, publicKey, signedPrekey: null, oneTimePrekeys: [] });
+}
+
+export function getAccount(userId) {
+    const account = accounts.get(userId);
+    if (!account) {
+        throw new Error('User not found');
+    }
+    return account;
+}
+
+/**
+ * Store a message as POST /api/messages does: the sender comes from the authenticated
+ * request, the ID and timestamp from the server
+ */
+export function storeMessage(senderId, fields) {
+    return {
+        ...structuredClone(fields),
+        _id: String(nextMessageId++),
+        senderId,
+        timestamp: new Date().toISOString()
+    };
+}
@@ -0,0 +1,324 @@
+// Ratchet session interop tests: simulated peers set up and use Double Ratchet sessions through
+// client/src/utils/keyExchange.js (encryptForPeer / decryptFromPeer), with X3DH against
+// published prekey bundles and messages relayed through a simulated server. Each peer's
+// storage.js runs on its own in-memory IndexedDB; the REST API and the security log are
+// replaced by the doubles in session-harness/.
+//
+// Run with: npm run test:sessions
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+const colors = require('colors');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+// The client modules target the browser
+globalThis.window = globalThis;
+globalThis.IDBKeyRange = IDBKeyRange;
+
+// One IndexedDB per simulated peer (see session-harness/hooks.mjs)
+const peerDatabases = new Map();
+globalThis.peerIndexedDB = (peer) => {
+    if (!peerDatabases.has(peer)) peerDatabases.set(peer, new IDBFactory());
+    return peerDatabases.get(peer);
+};
+
+register('./session-harness/hooks.mjs', pathToFileURL(__filename));
+
+const CLIENT_UTILS = pathToFileURL(path.join(__dirname, '../client/src/utils')).href;
+const HARNESS = pathToFileURL(path.join(__dirname, 'session-harness')).href;
+
+let failures = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(colors.green(`✅ ${name}`));
+    } catch (error) {
+        failures++;
+        console.log(colors.red(`❌ ${name}`));
+        console.log(colors.red(`   ${error.message}`));
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function assertRejects(promise, message) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    throw new Error(message);
+}
+
+async function main() {
+    const server = await import(`${HARNESS}/server.mjs`);
+    const cryptoUtils = await import(`${CLIENT_UTILS}/crypto.js`);
+    const { KEY_EXCHANGE_ERROR, KEY_EXCHANGE_MAX_AGE } = await import(`${CLIENT_UTILS}/keyExchangeValidation.js`);
+
+    let peerCount = 0;
+
+    /**
+     * A simulated client with its own identity keys, prekeys and storage
+     * Every peer gets a fresh user ID, so each test starts from clean sessions
+     */
+    async function createPeer(name) {
+        const userId = `${name}-${++peerCount}`;
+        const query = `?peer=${userId}`;
+        const keyExchange = await import(`${CLIENT_UTILS}/keyExchange.js${query}`);
+        const prekeys = await import(`${CLIENT_UTILS}/prekeys.js${query}`);
+        const storage = await import(`${CLIENT_UTILS}/storage.js${query}`);
+
+        const keyPairs = await cryptoUtils.generateIdentityKeyPair();
+        server.registerAccount(userId, JSON.stringify({
+            signing: await cryptoUtils.exportPublicKey(keyPairs.signing.publicKey),
+            dh: await cryptoUtils.exportPublicKey(keyPairs.dh.publicKey)
+        }));
+        await storage.storeIdentityKeyPair(keyPairs, userId, name);
+        await prekeys.publishPrekeys();
+
+        return {
+            name,
+            userId,
+            storage,
+
+            async send(recipient, text) {
+                const fields = await keyExchange.encryptForPeer(userId, recipient.userId, text);
+                return { message: server.storeMessage(userId, fields), text };
+            },
+
+            receive(message) {
+                return keyExchange.decryptFromPeer(userId, message);
+            },
+
+            // As the app does: Chat clears the per-login state, the next sign-in republishes prekeys
+            async logOutAndBackIn() {
+                await storage.clearSessionState();
+                await prekeys.publishPrekeys();
+            },
+
+            async session(message) {
+                return storage.getRatchetSession(JSON.parse(message.ratchetHeader).sessionId);
+            }
+        };
+    }
+
+    async function createPair() {
+        return { alice: await createPeer('alice'), bob: await createPeer('bob') };
+    }
+
+    async function expectText(peer, sent) {
+        const text = await peer.receive(sent.message);
+        assert(text === sent.text, `${peer.name} decrypted "${text}", expected "${sent.text}"`);
+        assert(await peer.storage.getCachedPlaintext(sent.message._id) === text, `${peer.name} did not cache the text`);
+    }
+
+    async function expectKeyExchangeError(peer, message, code) {
+        const error = await assertRejects(peer.receive(message), `Key exchange accepted, expected ${code}`);
+        assert(error.code === code, `Expected ${code}, got ${error.code || error.message}`);
+
+        const logged = server.securityEvents.find(event =>
+            event.userId === peer.userId && event.eventType === error.eventType);
+        assert(logged, `${error.eventType} was not logged`);
+        assert(!(await peer.session(message)), 'A session was saved for a rejected key exchange');
+    }
+
+    console.log(colors.cyan.bold('🤝 RATCHET SESSION INTEROP TESTS\n'));
+
+    await test('First message sets up the session from the prekey bundle; both peers can reply', async () => {
+        const { alice, bob } = await createPair();
+
+        const first = await alice.send(bob, 'hello bob');
+        const header = JSON.parse(first.message.headerData);
+        assert(header.signedPrekeyId && header.oneTimePrekeyId, 'X3DH did not use the signed and one-time prekeys');
+
+        await expectText(bob, first);
+        await expectText(bob, await alice.send(bob, 'second'));
+        await expectText(alice, await bob.send(alice, 'hello alice'));
+        await expectText(bob, await alice.send(bob, 'third'));
+
+        const oneTimePrekeys = await bob.storage.getPrekeysByType('oneTimePrekey');
+        assert(!oneTimePrekeys.some(prekey => prekey.keyId === header.oneTimePrekeyId), 'One-time prekey was not consumed');
+    });
+
+    await test('Handshake is sent until the peer replies, and the reply continues the same session', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const m2 = await alice.send(bob, 'm2');
+        assert(m1.message.headerData && m2.message.headerData === m1.message.headerData, 'Unanswered messages did not repeat the handshake');
+
+        await expectText(bob, m2);
+        const reply = await bob.send(alice, 'reply');
+        assert(!reply.message.headerData, 'Responder sent a handshake of its own');
+        assert(JSON.parse(reply.message.ratchetHeader).sessionId === JSON.parse(m1.message.ratchetHeader).sessionId,
+            'Responder replied on a different session');
+
+        await expectText(alice, reply);
+        const m3 = await alice.send(bob, 'm3');
+        assert(!m3.message.headerData, 'Handshake was still sent after the reply');
+        await expectText(bob, m3);
+        await expectText(bob, m1);
+    });
+
+    await test('Out-of-order delivery keeps skipped message keys in the saved session', async () => {
+        const { alice, bob } = await createPair();
+        const messages = [];
+        for (let i = 1; i <= 4; i++) {
+            messages.push(await alice.send(bob, `m${i}`));
+        }
+
+        await expectText(bob, messages[2]);
+        const session = await bob.session(messages[2].message);
+        assert(Object.keys(session.state.skipped).length === 2, 'Keys for m1 and m2 were not stored');
+
+        for (const index of [0, 3, 1]) {
+            await expectText(bob, messages[index]);
+        }
+        const drained = await bob.session(messages[2].message);
+        assert(Object.keys(drained.state.skipped).length === 0, 'Skipped keys were not deleted after use');
+    });
+
+    await test('Late message from a previous chain after a DH ratchet step', async () => {
+        const { alice, bob } = await createPair();
+
+        const a1 = await alice.send(bob, 'a1');
+        const a2 = await alice.send(bob, 'a2');
+        await expectText(bob, a1);
+        await expectText(alice, await bob.send(alice, 'b1'));
+
+        const a3 = await alice.send(bob, 'a3');
+        await expectText(bob, a3);
+        await expectText(bob, a2);
+    });
+
+    await test('Duplicate delivery is rejected as already used and the session keeps working', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const m2 = await alice.send(bob, 'm2');
+        const m3 = await alice.send(bob, 'm3');
+        await expectText(bob, m1);
+        await expectText(bob, m3);
+
+        const duplicate = await assertRejects(bob.receive(m1.message), 'Duplicate of the first message was accepted');
+        assert(duplicate.message.includes('already used'), `Unexpected error: ${duplicate.message}`);
+
+        await expectText(bob, m2);
+        const skipped = await assertRejects(bob.receive(m2.message), 'Duplicate of a skipped message was accepted');
+        assert(skipped.message.includes('already used'), `Unexpected error: ${skipped.message}`);
+
+        await expectText(alice, await bob.send(alice, 'still here'));
+        await expectText(bob, await alice.send(bob, 'm4'));
+    });
+
+    await test('After logging out and back in, messages on existing sessions still decrypt', async () => {
+        const { alice, bob } = await createPair();
+
+        await expectText(bob, await alice.send(bob, 'hello'));
+        await expectText(alice, await bob.send(alice, 'hi'));
+        const before = await alice.send(bob, 'before logout');
+        await expectText(bob, before);
+
+        await bob.logOutAndBackIn();
+
+        const after = await alice.send(bob, 'after logout');
+        assert(!after.message.headerData, 'Established session started a new handshake');
+        await expectText(bob, after);
+        assert(await bob.storage.getCachedPlaintext(before.message._id) === before.text, 'Decrypted history was lost');
+        await expectText(alice, await bob.send(alice, 'back again'));
+    });
+
+    await test('Peers that start sessions at the same time each continue on the other\'s', async () => {
+        const { alice, bob } = await createPair();
+
+        const fromAlice = await alice.send(bob, 'from alice');
+        const fromBob = await bob.send(alice, 'from bob');
+        await expectText(bob, fromAlice);
+        await expectText(alice, fromBob);
+
+        await expectText(bob, await alice.send(bob, 'alice again'));
+        await expectText(alice, await bob.send(alice, 'bob again'));
+    });
+
+    await test('Handshake with an invalid signature is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const carol = await createPeer('carol');
+        const forged = await carol.send(bob, 'forged');
+        const message = { ...m1.message, signature: forged.message.signature };
+        await expectKeyExchangeError(bob, message, KEY_EXCHANGE_ERROR.INVALID_SIGNATURE);
+
+        await expectText(bob, m1);
+    });
+
+    await test('Handshake sent with a different ephemeral key is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const other = await cryptoUtils.generateEphemeralKeyPair();
+        const message = { ...m1.message, ephemeralPublicKey: await cryptoUtils.exportPublicKey(other.publicKey) };
+        await expectKeyExchangeError(bob, message, KEY_EXCHANGE_ERROR.EPHEMERAL_KEY_MISMATCH);
+
+        await expectText(bob, m1);
+    });
+
+    await test('Handshake moved to another session ID is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const ratchetHeader = { ...JSON.parse(m1.message.ratchetHeader), sessionId: 'f'.repeat(32) };
+        const message = { ...m1.message, ratchetHeader: JSON.stringify(ratchetHeader) };
+        await expectKeyExchangeError(bob, message, KEY_EXCHANGE_ERROR.KEY_ID_MISMATCH);
+
+        await expectText(bob, m1);
+    });
+
+    await test('Handshake relayed to a different recipient is rejected', async () => {
+        const { alice, bob } = await createPair();
+        const carol = await createPeer('carol');
+
+        const m1 = await alice.send(bob, 'm1');
+        const relayed = { ...m1.message, recipientId: carol.userId };
+        await expectKeyExchangeError(carol, relayed, KEY_EXCHANGE_ERROR.CONTEXT_MISMATCH);
+
+        await expectText(bob, m1);
+    });
+
+    await test('Handshake older than the maximum age is rejected', async () => {
+        const { alice, bob } = await createPair();
+
+        const m1 = await alice.send(bob, 'm1');
+        const storedAt = new Date(Date.now() + KEY_EXCHANGE_MAX_AGE + 60 * 1000).toISOString();
+        await expectKeyExchangeError(bob, { ...m1.message, timestamp: storedAt }, KEY_EXCHANGE_ERROR.STALE_HEADER);
+
+        await expectText(bob, m1);
+    });
+
+    await test('Message on another user\'s session is rejected', async () => {
+        const { alice, bob } = await createPair();
+        const carol = await createPeer('carol');
+
+        const m1 = await alice.send(bob, 'm1');
+        await expectText(bob, m1);
+
+        const copied = { ...m1.message, _id: 'copy', senderId: carol.userId };
+        const error = await assertRejects(bob.receive(copied), 'Message on another user\'s session was accepted');
+        assert(error.message.includes('another user'), `Unexpected error: ${error.message}`);
+    });
+
+    console.log('');
+    if (failures > 0) {
+        console.log(colors.red.bold(`${failures} test(s) failed`));
+        process.exit(1);
+    }
+    console.log(colors.green.bold('All ratchet session interop tests passed'));
+}
+
+main().catch(error => {
+    console.error(colors.red(`Test run failed: ${error.message}`));
+    process.exit(1);
+});
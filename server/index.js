@@ -6,10 +6,17 @@ const http = require('http');
 const { Server } = require('socket.io');
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const messageRoutes = require('./routes/messages');
+const conversationRoutes = require('./routes/conversations');
+const syncRoutes = require('./routes/sync');
 const securityRoutes = require('./routes/security');
-const { apiLimiter, authLimiter, messageLimiter, uploadLimiter } = require('./middleware/rateLimiter');
+const { apiLimiter, messageLimiter, uploadLimiter } = require('./middleware/rateLimiter');
+const { getSession } = require('./middleware/auth');
+const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('./utils/securityLogger');
+const { getConversationPeerIds, isConversationPeer } = require('./utils/conversationPeers');
+const User = require('./models/User');
 
 const app = express();
 const server = http.createServer(app);
@@ -58,32 +65,170 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/encircle'
 // Initialize file routes with Socket.io after io is created
 const fileRoutes = require('./routes/files');
 
-// Routes with specific rate limiters
-app.use('/api/auth', authLimiter, authRoutes);
+// Routes with specific rate limiters (auth limits login/register inside the router)
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth', authRoutes(io));
 app.use('/api/users', userRoutes);
-app.use('/api/messages', messageLimiter, messageRoutes);
+app.use('/api/sync', syncRoutes);
 app.use('/api/security', securityRoutes);
 
+// Authenticate socket connections with the access token from the handshake
+io.use(async (socket, next) => {
+  try {
+    const session = await getSession(socket.handshake.auth?.token);
+    
+    if (!session) {
+      await logSecurityEvent(EVENT_TYPES.SOCKET_AUTH_FAILURE, {
+        ipAddress: getIpAddress(socket.request),
+        details: 'Socket connection rejected: missing or invalid token',
+        metadata: { socketId: socket.id }
+      });
+      return next(new Error('Unauthorized'));
+    }
+    
+    socket.userId = session.userId.toString();
+    // Lets revoking the session disconnect its sockets
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error.message || 'Unknown error');
+    next(new Error('Authentication error'));
+  }
+});
+
+// Presence: connected socket IDs per user (a user is online while any device is connected)
+const userSockets = new Map();
+// Minimum gap between relayed "typing" events per socket and peer
+const TYPING_INTERVAL = 2000;
+
+/**
+ * Presence of a user as seen by others, honouring their last-seen privacy setting
+ */
+function describePresence(user) {
+  const online = userSockets.has(user._id.toString());
+  return {
+    userId: user._id.toString(),
+    online,
+    lastSeen: !online && user.lastSeenVisible ? user.lastSeen : null
+  };
+}
+
+/**
+ * Send a presence change to the user's conversation peers only
+ */
+async function broadcastPresence(userId) {
+  try {
+    const [user, peerIds] = await Promise.all([
+      User.findById(userId).select('lastSeen lastSeenVisible'),
+      getConversationPeerIds(userId)
+    ]);
+    
+    if (user && peerIds.length > 0) {
+      io.to(peerIds).emit('presence', describePresence(user));
+    }
+  } catch (error) {
+    console.error('Presence broadcast error:', error.message || 'Unknown error');
+  }
+}
+
 // Socket.io for real-time messaging
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
+  // Each socket only ever receives events for its own verified user
+  socket.join(socket.userId);
+
+  if (!userSockets.has(socket.userId)) {
+    userSockets.set(socket.userId, new Set());
+  }
+  userSockets.get(socket.userId).add(socket.id);
+  
+  // First device online
+  if (userSockets.get(socket.userId).size === 1) {
+    broadcastPresence(socket.userId);
+  }
+
+  // Current presence of all conversation peers
+  socket.on('get_presence', async (ack) => {
+    if (typeof ack !== 'function') return;
+    
+    try {
+      const peerIds = await getConversationPeerIds(socket.userId);
+      const peers = await User.find({ _id: { $in: peerIds } }).select('lastSeen lastSeenVisible');
+      ack(peers.map(describePresence));
+    } catch (error) {
+      console.error('Presence lookup error:', error.message || 'Unknown error');
+      ack([]);
+    }
   });
 
-  socket.on('message', (data) => {
-    // Relay encrypted message to recipient
-    io.to(data.recipientId).emit('message', data);
+  // Typing indicators are relayed, never stored, and rate-limited per peer
+  // Only conversation peers receive them, so they can't be used to reach or probe arbitrary users
+  const lastTypingAt = new Map();
+  const typingPeers = new Set(); // Peers already confirmed (a conversation never stops existing)
+  socket.on('typing', async (payload) => {
+    if (!payload || typeof payload !== 'object') return;
+    
+    try {
+      const { peerId, isTyping } = payload;
+      if (typeof peerId !== 'string' || !mongoose.Types.ObjectId.isValid(peerId) || peerId === socket.userId) return;
+      
+      if (isTyping) {
+        const now = Date.now();
+        if (now - (lastTypingAt.get(peerId) || 0) < TYPING_INTERVAL) return;
+        lastTypingAt.set(peerId, now);
+      } else {
+        // Only relay a stop for a start we relayed
+        if (!lastTypingAt.delete(peerId)) return;
+      }
+      
+      if (!typingPeers.has(peerId)) {
+        if (!(await isConversationPeer(socket.userId, peerId))) return;
+        typingPeers.add(peerId);
+      }
+      
+      io.to(peerId).emit('typing', { userId: socket.userId, isTyping: Boolean(isTyping) });
+    } catch (error) {
+      console.error('Typing relay error:', error.message || 'Unknown error');
+    }
   });
 
-  socket.on('disconnect', () => {
+  socket.on('join', async (userId) => {
+    if (userId === socket.userId) return; // Already in own room
+
+    await logSecurityEvent(EVENT_TYPES.SOCKET_ROOM_VIOLATION, {
+      userId: socket.userId,
+      ipAddress: getIpAddress(socket.request),
+      details: `Socket tried to join another user's room (${userId})`,
+      metadata: { socketId: socket.id, requestedRoom: String(userId) }
+    });
+  });
+
+  socket.on('disconnect', async () => {
     console.log('Client disconnected:', socket.id);
+    
+    const sockets = userSockets.get(socket.userId);
+    sockets.delete(socket.id);
+    
+    // Last device offline
+    if (sockets.size === 0) {
+      userSockets.delete(socket.userId);
+      try {
+        await User.updateOne({ _id: socket.userId }, { lastSeen: new Date() });
+      } catch (error) {
+        console.error('Error updating last seen:', error.message || 'Unknown error');
+      }
+      // Skip if the user reconnected while last seen was being saved
+      if (!userSockets.has(socket.userId)) {
+        broadcastPresence(socket.userId);
+      }
+    }
   });
 });
 
-// Initialize file routes with Socket.io
+// Initialize routes that emit real-time events with Socket.io
+app.use('/api/messages', messageLimiter, messageRoutes(io));
+app.use('/api/conversations', conversationRoutes(io));
 app.use('/api/files', uploadLimiter, fileRoutes(io));
 
 const PORT = process.env.PORT || 5000;
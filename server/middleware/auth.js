@@ -1,29 +1,159 @@
-// Simple session token verification (replace with JWT in production)
+// Short-lived JWT access tokens backed by revocable, rotating refresh-token sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getSessionStore } = require('../utils/sessionStore');
+const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('../utils/securityLogger');
 
-const sessions = new Map(); // In-memory session store (use Redis in production)
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes (seconds, as used by JWT exp)
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const LAST_SEEN_INTERVAL = 60 * 1000; // Only persist lastSeen once a minute
 
-function generateSessionToken() {
-  return require('crypto').randomBytes(32).toString('hex');
+const JWT_SECRET = process.env.JWT_SECRET || getDevelopmentSecret();
+
+function getDevelopmentSecret() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('JWT_SECRET not set - using a random secret, tokens will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
 }
 
-function createSession(userId) {
-  const token = generateSessionToken();
-  sessions.set(token, { userId, createdAt: Date.now() });
-  return token;
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('hex');
 }
 
-function verifySession(token) {
-  const session = sessions.get(token);
-  if (!session) return null;
-  
-  // Expire sessions after 24 hours
-  if (Date.now() - session.createdAt > 24 * 60 * 60 * 1000) {
-    sessions.delete(token);
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ sid: sessionId }, JWT_SECRET, {
+    subject: userId,
+    expiresIn: ACCESS_TOKEN_TTL,
+    algorithm: 'HS256'
+  });
+}
+
+function issueTokens(session, refreshToken) {
+  return {
+    token: signAccessToken(session.userId.toString(), session._id.toString()),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Sign a short-lived single-purpose token (e.g. the pending second login step)
+ * These carry no session ID and are never accepted as access tokens
+ */
+function signChallengeToken(userId, purpose, expiresIn = 5 * 60) {
+  return jwt.sign({ purpose }, JWT_SECRET, {
+    subject: userId,
+    expiresIn,
+    algorithm: 'HS256'
+  });
+}
+
+/**
+ * Verify a challenge token for the given purpose and return its user ID, or null
+ */
+function verifyChallengeToken(token, purpose) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    return payload.purpose === purpose ? payload.sub : null;
+  } catch (error) {
     return null;
   }
-  
-  return session.userId;
+}
+
+/**
+ * Create a session for a user and return its access and refresh tokens
+ * The request (if given) is used to record the client IP and user agent
+ */
+async function createSession(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const now = Date.now();
+
+  const session = await getSessionStore().create({
+    tokenHash: hashToken(refreshToken),
+    userId,
+    createdAt: new Date(now),
+    lastSeen: new Date(now),
+    ipAddress: req ? getIpAddress(req) : '-1',
+    userAgent: req?.headers['user-agent'] || '',
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL)
+  });
+
+  return issueTokens(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting a refresh token that was already rotated revokes the whole
+ * session (token family), since either the client or an attacker holds a stolen copy
+ * Returns null if the refresh token is not accepted
+ */
+async function refreshSession(refreshToken, req) {
+  if (!refreshToken) return null;
+
+  const store = getSessionStore();
+  const tokenHash = hashToken(refreshToken);
+  const session = await store.findByTokenHash(tokenHash);
+
+  if (!session) {
+    const reused = await store.findByPreviousTokenHash(tokenHash);
+    if (reused) {
+      await store.removeById(reused.userId, reused._id.toString());
+      await logSecurityEvent(EVENT_TYPES.REFRESH_TOKEN_REUSE, {
+        userId: reused.userId.toString(),
+        ipAddress: req ? getIpAddress(req) : '-1',
+        details: 'Rotated refresh token was presented again - session revoked',
+        metadata: { sessionId: reused._id.toString() }
+      });
+    }
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await store.rotate(
+    session._id.toString(),
+    tokenHash,
+    hashToken(newRefreshToken),
+    new Date(Date.now() + REFRESH_TOKEN_TTL)
+  );
+
+  // Lost a race with a concurrent refresh using the same token
+  if (!rotated) return null;
+
+  return issueTokens(rotated, newRefreshToken);
+}
+
+/**
+ * Resolve an access token to its session record, or null if invalid/expired/revoked
+ */
+async function getSession(token) {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose) return null;
+
+  // The session lookup keeps revocation effective before the access token expires
+  const store = getSessionStore();
+  const session = await store.findById(payload.sid);
+  if (!session || session.userId.toString() !== payload.sub) return null;
+
+  const now = Date.now();
+  if (now - new Date(session.lastSeen).getTime() > LAST_SEEN_INTERVAL) {
+    await store.touch(session._id.toString(), new Date(now));
+  }
+
+  return session;
 }
 
 async function authenticate(req, res, next) {
@@ -34,13 +164,15 @@ async function authenticate(req, res, next) {
   }
   
   const token = authHeader.substring(7);
-  const userId = verifySession(token);
-  
-  if (!userId) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
   
   try {
+    const session = await getSession(token);
+    
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    
+    const userId = session.userId.toString();
     const user = await User.findById(userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -48,10 +180,19 @@ async function authenticate(req, res, next) {
     
     req.userId = userId;
     req.user = user;
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     res.status(500).json({ error: 'Authentication error' });
   }
 }
 
-module.exports = { authenticate, createSession, verifySession };
+module.exports = {
+  authenticate,
+  createSession,
+  refreshSession,
+  getSession,
+  signChallengeToken,
+  verifyChallengeToken,
+  hashToken
+};
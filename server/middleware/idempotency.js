@@ -0,0 +1,124 @@
+// Idempotency-Key support for POST routes that create resources
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const RETENTION_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+// A request still 'processing' after this long is assumed to have died without releasing its key
+const PROCESSING_LEASE = 60 * 1000; // 60 seconds
+
+/**
+ * JSON with object keys sorted, so equal bodies hash the same regardless of key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequestBody(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+}
+
+/**
+ * Replay the stored response for a repeated Idempotency-Key instead of running the handler again
+ *
+ * Requests without the header are handled normally. Only 2xx responses are stored; on any
+ * other outcome (including a handler that throws or never sends JSON) the key is released so
+ * the client can retry with it. A key left 'processing' past the lease is taken over by the retry.
+ * Must run after `authenticate`, since keys are scoped per user.
+ */
+function idempotency(route) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: 'Invalid Idempotency-Key header' });
+    }
+
+    const scope = { userId: req.userId, route, key };
+    const requestHash = hashRequestBody(req.body);
+    const lockedAt = new Date();
+
+    try {
+      try {
+        await IdempotencyKey.create({
+          ...scope,
+          requestHash,
+          lockedAt,
+          expiresAt: new Date(lockedAt.getTime() + RETENTION_WINDOW)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await IdempotencyKey.findOne(scope);
+
+        if (existing && existing.requestHash !== requestHash) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used with a different request body' });
+        }
+
+        // Abandoned by a request that died mid-way; only one retry wins the takeover
+        const abandoned = existing && existing.status === 'processing' &&
+          lockedAt - existing.lockedAt > PROCESSING_LEASE &&
+          await IdempotencyKey.updateOne(
+            { ...scope, status: 'processing', lockedAt: existing.lockedAt },
+            { lockedAt }
+          ).then(result => result.modifiedCount === 1);
+
+        if (!abandoned) {
+          // Still running, or released (failed or expired) since the insert was attempted
+          if (!existing || existing.status !== 'completed') {
+            res.set('Retry-After', '1');
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress', reason: 'request_in_progress' });
+          }
+
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking idempotency key:', error.message || 'Unknown error');
+      return res.status(500).json({ error: 'Failed to process request' });
+    }
+
+    // Only touch the record while this request still holds it
+    const held = { ...scope, status: 'processing', lockedAt };
+    let completed = false;
+
+    // Capture the handler's response so it can be stored with the key
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        completed = true;
+        IdempotencyKey.updateOne(held, { status: 'completed', responseStatus: res.statusCode, responseBody: body })
+          .catch(error => {
+            console.error('Error storing idempotent response:', error.message || 'Unknown error');
+          });
+      }
+      return sendJson(body);
+    };
+
+    // Release the key on any other outcome: an error response, a thrown handler answered by
+    // Express's default error page, or a connection closed before a response was sent
+    res.on('close', () => {
+      if (completed) return;
+      IdempotencyKey.deleteOne(held).catch(error => {
+        console.error('Error releasing idempotency key:', error.message || 'Unknown error');
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency
+};
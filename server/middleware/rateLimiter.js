@@ -18,6 +18,15 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiter for access token refreshes (every open tab refreshes on its own)
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 refreshes per windowMs
+  message: 'Too many token refreshes, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Rate limiter for message sending
 const messageLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -39,6 +48,7 @@ const uploadLimiter = rateLimit({
 module.exports = {
   apiLimiter,
   authLimiter,
+  refreshLimiter,
   messageLimiter,
   uploadLimiter
 };
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const authChallengeSchema = new mongoose.Schema({
+  // Random server-issued nonce the client must sign
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // What the challenge may be used for (e.g. 'register')
+  purpose: {
+    type: String,
+    required: true
+  },
+  // User the challenge was issued for, if already known
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  ipAddress: {
+    type: String,
+    default: '-1'
+  },
+  // MongoDB removes unused challenges once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL index for automatic challenge expiry
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
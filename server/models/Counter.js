@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Named monotonic counters, incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  // Counter name (e.g. 'conversation:<userA>:<userB>')
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { versionKey: false });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -55,10 +55,82 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Envelope v2: content type and sender sequence number are authenticated as AES-GCM
+  // additional data, and envelopeSignature (sender's identity key) covers the whole envelope.
+  // Absent on v1 envelopes.
+  envelopeVersion: {
+    type: Number,
+    required: false
+  },
+  contentType: {
+    type: String,
+    required: false
+  },
+  senderSeq: {
+    type: Number,
+    required: false
+  },
+  envelopeSignature: {
+    type: String,
+    required: false
+  },
+  // Server-assigned position in the conversation, shared with messages
+  conversationId: {
+    type: String,
+    required: false
+  },
+  conversationSeq: {
+    type: Number,
+    required: false
+  },
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  delivered: {
+    type: Boolean,
+    default: false
+  },
+  read: {
+    type: Boolean,
+    default: false
   }
 }, { timestamps: true });
 
+// Conversation list: per-peer activity and unread counts
+fileSchema.index({ uploaderId: 1, recipientId: 1, timestamp: -1 });
+fileSchema.index({ recipientId: 1, read: 1 });
+
+fileSchema.index(
+  { conversationId: 1, conversationSeq: 1 },
+  { unique: true, partialFilterExpression: { conversationSeq: { $exists: true } } }
+);
+
+/**
+ * Payload of the real-time `file` event (also replayed by sync)
+ */
+fileSchema.methods.toEventJSON = function() {
+  return {
+    fileId: this._id.toString(),
+    uploaderId: this.uploaderId.toString(),
+    recipientId: this.recipientId.toString(),
+    filename: this.filename,
+    mimeType: this.mimeType,
+    size: this.size,
+    ciphertext: this.ciphertext,
+    iv: this.iv,
+    chunks: this.chunks,
+    keyId: this.keyId,
+    ephemeralPublicKey: this.ephemeralPublicKey,
+    signature: this.signature,
+    headerData: this.headerData,
+    envelopeVersion: this.envelopeVersion,
+    contentType: this.contentType,
+    senderSeq: this.senderSeq,
+    envelopeSignature: this.envelopeSignature,
+    conversationSeq: this.conversationSeq,
+    timestamp: this.timestamp
+  };
+};
+
 module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Client-chosen key from the Idempotency-Key header
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Route the key was used on (e.g. 'POST /api/messages')
+  route: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the canonical request body, to detect a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // 'processing' while the first request runs, 'completed' once its response is stored
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // When the request holding the key started; a 'processing' key older than the
+  // middleware's lease is treated as abandoned
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // MongoDB removes keys once this date has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// A key is scoped to the user and route it was sent on
+idempotencyKeySchema.index({ userId: 1, route: 1, key: 1 }, { unique: true });
+
+// TTL index for the retention window
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -31,21 +31,50 @@ const messageSchema = new mongoose.Schema({
     type: String,
     required: false
   },
-  // Signature for authenticity
+  // Signature for authenticity (over the key exchange header, so only on messages that carry one)
   signature: {
     type: String,
-    required: true
+    required: function() {
+      return !this.ratchetHeader;
+    }
   },
   // Header data for signature verification
   headerData: {
     type: String,
     required: false
   },
-  // Sequence number for replay protection
-  sequenceNumber: {
+  // Double Ratchet header ({ sessionId, dh, pn, n }), absent on one-off key exchange messages
+  ratchetHeader: {
+    type: String,
+    required: false
+  },
+  // Envelope v2: content type and sender sequence number are authenticated as AES-GCM
+  // additional data, and envelopeSignature (sender's identity key) covers the whole envelope.
+  // Absent on v1 envelopes.
+  envelopeVersion: {
+    type: Number,
+    required: false
+  },
+  contentType: {
+    type: String,
+    required: false
+  },
+  senderSeq: {
+    type: Number,
+    required: false
+  },
+  envelopeSignature: {
+    type: String,
+    required: false
+  },
+  // Server-assigned position in the conversation (both directions share one counter)
+  conversationId: {
+    type: String,
+    required: false
+  },
+  conversationSeq: {
     type: Number,
-    required: false,
-    default: 0
+    required: false
   },
   // Metadata
   timestamp: {
@@ -59,7 +88,67 @@ const messageSchema = new mongoose.Schema({
   read: {
     type: Boolean,
     default: false
+  },
+  // Whether the sender may see `read` (false if the recipient disabled read receipts)
+  readReceiptSent: {
+    type: Boolean,
+    default: false
   }
 }, { timestamps: true });
 
+// Conversation history: one index range per direction, paged by _id
+messageSchema.index({ senderId: 1, recipientId: 1, _id: -1 });
+
+// Conversation list: messages received by a user, and which are unread
+messageSchema.index({ recipientId: 1, read: 1 });
+
+// Replay protection: a key exchange can be used once per sender
+messageSchema.index({ senderId: 1, keyId: 1 }, { unique: true });
+
+// Each conversation sequence number is assigned once (older messages have none)
+messageSchema.index(
+  { conversationId: 1, conversationSeq: 1 },
+  { unique: true, partialFilterExpression: { conversationSeq: { $exists: true } } }
+);
+
+/**
+ * Plain object for API responses
+ * Senders only see `read` if the recipient sent a read receipt
+ */
+messageSchema.methods.toClientJSON = function(viewerId) {
+  const { readReceiptSent, ...message } = this.toObject();
+  const senderId = this.senderId.toString();
+
+  return {
+    ...message,
+    senderId,
+    recipientId: this.recipientId.toString(),
+    read: senderId === viewerId.toString() ? readReceiptSent : message.read
+  };
+};
+
+/**
+ * Payload of the real-time `message` event (also replayed by sync)
+ */
+messageSchema.methods.toEventJSON = function() {
+  return {
+    messageId: this._id.toString(),
+    senderId: this.senderId.toString(),
+    recipientId: this.recipientId.toString(),
+    ciphertext: this.ciphertext,
+    iv: this.iv,
+    keyId: this.keyId,
+    ephemeralPublicKey: this.ephemeralPublicKey,
+    headerData: this.headerData,
+    signature: this.signature,
+    ratchetHeader: this.ratchetHeader,
+    envelopeVersion: this.envelopeVersion,
+    contentType: this.contentType,
+    senderSeq: this.senderSeq,
+    envelopeSignature: this.envelopeSignature,
+    conversationSeq: this.conversationSeq,
+    timestamp: this.timestamp
+  };
+};
+
 module.exports = mongoose.model('Message', messageSchema);
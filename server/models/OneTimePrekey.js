@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// X3DH one-time prekeys uploaded by a user, each handed out in at most one prekey bundle
+const oneTimePrekeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Client-chosen ID, sent back in the key exchange header so the owner can find the private key
+  keyId: {
+    type: String,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true // ECDH P-256 public JWK
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+oneTimePrekeySchema.index({ userId: 1, keyId: 1 }, { unique: true });
+
+module.exports = mongoose.model('OneTimePrekey', oneTimePrekeySchema);
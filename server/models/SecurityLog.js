@@ -20,7 +20,20 @@ const securityLogSchema = new mongoose.Schema({
       'key_exchange_failure',
       'public_key_access',
       'registration_success',
-      'registration_failure'
+      'registration_failure',
+      'session_revoked',
+      'refresh_token_reuse',
+      'account_locked',
+      'totp_enrolled',
+      'totp_disabled',
+      'totp_failure',
+      'socket_auth_failure',
+      'socket_room_violation',
+      'key_exchange_malformed_header',
+      'key_exchange_ephemeral_mismatch',
+      'key_exchange_key_id_mismatch',
+      'key_exchange_context_mismatch',
+      'key_exchange_stale_header'
     ],
     index: true
   },
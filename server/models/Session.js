@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // SHA-256 of the current refresh token (the raw token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated away; presenting one again
+  // means the token was stolen and revokes the whole session
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: {
+    type: String,
+    default: '-1'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // MongoDB removes the document once this date has passed (refresh token expiry)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL index for automatic session expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Per-recipient log of delivered `message` and `file` events, replayed by missed-event sync
+const syncEventSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Position in the recipient's log: 1, 2, 3, ... with no gaps
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['message', 'file'],
+    required: true
+  },
+  // The Message or File the event is for
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+// One event per position: a writer that loses the race for a position retries with the next one
+syncEventSchema.index({ recipientId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('SyncEvent', syncEventSchema);
@@ -21,6 +21,64 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true // SHA-256 hash of public key for verification
   },
+  // X3DH signed prekey: a rotating ECDH public JWK signed by the identity signing key
+  signedPrekey: {
+    keyId: String,
+    publicKey: String,
+    signature: String,
+    createdAt: Date
+  },
+  // TOTP two-factor authentication
+  totpEnabled: {
+    type: Boolean,
+    default: false
+  },
+  totpSecret: {
+    type: String,
+    default: null
+  },
+  // Secret generated during enrollment, promoted once the first code verifies
+  totpPendingSecret: {
+    type: String,
+    default: null
+  },
+  // Last accepted time step, so a code cannot be replayed within its window
+  totpLastUsedStep: {
+    type: Number,
+    default: -1
+  },
+  // SHA-256 hashes of unused one-time recovery codes
+  recoveryCodeHashes: {
+    type: [String],
+    default: []
+  },
+  // Failed login tracking for progressive backoff and lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextLoginAllowedAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Privacy: whether senders are told when this user reads their messages
+  readReceiptsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Privacy: whether others can see when this user was last online
+  lastSeenVisible: {
+    type: Boolean,
+    default: true
+  },
+  lastSeen: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,19 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { createSession } = require('../middleware/auth');
+const {
+  authenticate,
+  createSession,
+  refreshSession,
+  signChallengeToken,
+  verifyChallengeToken,
+  hashToken
+} = require('../middleware/auth');
+const { authLimiter, refreshLimiter } = require('../middleware/rateLimiter');
+const { getSessionStore } = require('../utils/sessionStore');
+const { getRetryAfter, clearFailedLogins, handleFailedAttempt, sendRetryLater } = require('../utils/loginThrottle');
+const { verifyCode, normalizeRecoveryCode } = require('../utils/totp');
+const { issueChallenge, consumeChallenge } = require('../utils/challenges');
+const {
+  validatePublicKeyBundle,
+  computeKeyFingerprint,
+  verifyEcdsaSignature
+} = require('../utils/keyValidation');
 const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('../utils/securityLogger');
+const { disconnectSessionSockets } = require('../utils/socketSessions');
+
+const TWO_FACTOR_PURPOSE = 'login_2fa';
+const REGISTER_PURPOSE = 'register';
+const KEY_LOGIN_PURPOSE = 'login_key';
+
+// Socket.io will be injected by the main server
+let io;
+
+// Issue a registration challenge (signed by the new identity key as proof of possession)
+router.post('/register/challenge', authLimiter, async (req, res) => {
+  try {
+    const challenge = await issueChallenge(REGISTER_PURPOSE, { ipAddress: getIpAddress(req) });
+    res.json(challenge);
+  } catch (error) {
+    console.error('Challenge error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to issue challenge' });
+  }
+});
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
-    const { username, password, publicKey, keyFingerprint } = req.body;
+    const { username, password, publicKey, keyFingerprint, challenge, proofSignature } = req.body;
     
     // Validate input
-    if (!username || !password || !publicKey || !keyFingerprint) {
+    if (!username || !password || !publicKey || !keyFingerprint || !challenge || !proofSignature) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    // Challenges are single-use, so consume it before any other check
+    if (!(await consumeChallenge(challenge, REGISTER_PURPOSE))) {
+      return rejectRegistration(req, res, username, 'Invalid or expired registration challenge');
+    }
+    
+    // Only accept well-formed P-256 public JWKs
+    const keyCheck = validatePublicKeyBundle(publicKey);
+    if (!keyCheck.valid) {
+      return rejectRegistration(req, res, username, keyCheck.reason);
+    }
+    
+    // The fingerprint must be derived from the submitted signing key
+    if (computeKeyFingerprint(keyCheck.signingJwkString) !== keyFingerprint) {
+      return rejectRegistration(req, res, username, 'Key fingerprint does not match public key');
+    }
+    
+    // Proof of possession: the challenge must be signed by the matching private key
+    const proof = buildRegistrationProof(challenge, username, keyFingerprint);
+    if (!verifyEcdsaSignature(keyCheck.signingJwk, proof, proofSignature)) {
+      await logSecurityEvent(EVENT_TYPES.INVALID_SIGNATURE, {
+        userId: 'N/A',
+        ipAddress: getIpAddress(req),
+        details: `Invalid proof-of-possession signature registering ${username}`,
+        metadata: { username }
+      });
+      return rejectRegistration(req, res, username, 'Invalid proof-of-possession signature');
+    }
+    
     // Check if user exists
     const existingUser = await User.findOne({ username });
     if (existingUser) {
@@ -38,13 +102,13 @@ router.post('/register', async (req, res) => {
     });
     
     // Create session
-    const token = createSession(user._id.toString());
+    const tokens = await createSession(user._id.toString(), req);
     
     res.status(201).json({
       message: 'User registered successfully',
       userId: user._id,
       username: user.username,
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error.message || 'Unknown error');
@@ -60,8 +124,8 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// Login
-router.post('/login', async (req, res) => {
+// Login (step 1: password)
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
     
@@ -72,35 +136,345 @@ router.post('/login', async (req, res) => {
     // Find user
     const user = await User.findOne({ username });
     if (!user) {
+      await logSecurityEvent(EVENT_TYPES.AUTH_FAILURE, {
+        userId: 'N/A',
+        ipAddress: getIpAddress(req),
+        details: `Failed login for unknown user ${username}`,
+        metadata: { username, reason: 'unknown_user' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    // Enforce backoff/lockout before checking the password
+    const retryAfter = getRetryAfter(user);
+    if (retryAfter > 0) {
+      return rejectThrottledAttempt(req, res, user, retryAfter);
+    }
+    
     // Verify password
     const isValid = await user.comparePassword(password);
     if (!isValid) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.AUTH_FAILURE, 'invalid_password');
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Log successful login
-    await logSecurityEvent(EVENT_TYPES.AUTH_SUCCESS, {
-      userId: user._id.toString(),
+    // Step 2 required: hand out a short-lived challenge instead of a session
+    if (user.totpEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id.toString(), TWO_FACTOR_PURPOSE)
+      });
+    }
+    
+    await completeLogin(req, res, user, `User ${username} logged in successfully`);
+  } catch (error) {
+    console.error('Login error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Login (step 2: TOTP or recovery code)
+router.post('/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    const userId = verifyChallengeToken(challengeToken, TWO_FACTOR_PURPOSE);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge expired. Please sign in again.' });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user || !user.totpEnabled) {
+      return res.status(401).json({ error: 'Login challenge expired. Please sign in again.' });
+    }
+    
+    const retryAfter = getRetryAfter(user);
+    if (retryAfter > 0) {
+      return sendRetryLater(res, retryAfter);
+    }
+    
+    if (recoveryCode) {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      
+      // Pull the hash atomically so a recovery code works exactly once
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, recoveryCodeHashes: codeHash },
+        { $pull: { recoveryCodeHashes: codeHash } },
+        { new: true }
+      );
+      
+      if (!updated) {
+        await handleFailedAttempt(req, user, EVENT_TYPES.TOTP_FAILURE, 'invalid_recovery_code');
+        return res.status(401).json({ error: 'Invalid recovery code' });
+      }
+      
+      return completeLogin(req, res, updated,
+        `User ${user.username} logged in with a recovery code (${updated.recoveryCodeHashes.length} left)`);
+    }
+    
+    const step = verifyCode(user.totpSecret, code, user.totpLastUsedStep);
+    if (step === null) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.TOTP_FAILURE, 'invalid_totp_code');
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    // Conditional update rejects a second use of the same code in a race
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, totpLastUsedStep: { $lt: step } },
+      { totpLastUsedStep: step },
+      { new: true }
+    );
+    if (!updated) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.TOTP_FAILURE, 'reused_totp_code');
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    await completeLogin(req, res, updated, `User ${user.username} logged in with two-factor authentication`);
+  } catch (error) {
+    console.error('2FA login error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Message the registrant signs with their new identity key
+ * Must match buildRegistrationProof in client/src/utils/crypto.js
+ */
+function buildRegistrationProof(nonce, username, keyFingerprint) {
+  return `encircle-register||${nonce}||${username}||${keyFingerprint}`;
+}
+
+/**
+ * Log and reject a registration that failed key validation
+ */
+async function rejectRegistration(req, res, username, reason) {
+  await logSecurityEvent(EVENT_TYPES.REGISTRATION_FAILURE, {
+    userId: 'N/A',
+    ipAddress: getIpAddress(req),
+    details: `Registration of ${username} rejected: ${reason}`,
+    metadata: { username, reason }
+  });
+  return res.status(400).json({ error: reason });
+}
+
+// Passwordless login (step 1: get a nonce to sign with the device's identity key)
+router.post('/login/key/challenge', authLimiter, async (req, res) => {
+  try {
+    const { username } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({ error: 'Missing username' });
+    }
+    
+    // Unknown usernames still get a (useless) challenge so accounts cannot be enumerated
+    const user = await User.findOne({ username });
+    
+    // No new challenges while the account is in backoff or locked, as for password login
+    const retryAfter = user ? getRetryAfter(user) : 0;
+    if (retryAfter > 0) {
+      return rejectThrottledAttempt(req, res, user, retryAfter);
+    }
+    
+    const challenge = await issueChallenge(KEY_LOGIN_PURPOSE, {
+      userId: user ? user._id : undefined,
+      ipAddress: getIpAddress(req)
+    });
+    
+    res.json(challenge);
+  } catch (error) {
+    console.error('Challenge error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to issue challenge' });
+  }
+});
+
+// Passwordless login (step 2: verify the signed nonce against the stored public key)
+router.post('/login/key', authLimiter, async (req, res) => {
+  try {
+    const { username, challenge, signature } = req.body;
+    
+    if (!username || !challenge || !signature) {
+      return res.status(400).json({ error: 'Missing credentials' });
+    }
+    
+    const issued = await consumeChallenge(challenge, KEY_LOGIN_PURPOSE);
+    const user = await User.findOne({ username });
+    
+    // Enforce backoff/lockout before checking the challenge and signature
+    const retryAfter = user ? getRetryAfter(user) : 0;
+    if (retryAfter > 0) {
+      return rejectThrottledAttempt(req, res, user, retryAfter);
+    }
+    
+    if (!user || !issued || !issued.userId || issued.userId.toString() !== user._id.toString()) {
+      await logSecurityEvent(EVENT_TYPES.AUTH_FAILURE, {
+        userId: user ? user._id.toString() : 'N/A',
+        ipAddress: getIpAddress(req),
+        details: `Key login for ${username} used an invalid or expired challenge`,
+        metadata: { username, reason: 'invalid_challenge' }
+      });
+      return res.status(401).json({ error: 'Invalid or expired login challenge' });
+    }
+    
+    const keyCheck = validatePublicKeyBundle(user.publicKey);
+    const proof = buildKeyLoginProof(challenge, username);
+    if (!keyCheck.valid || !verifyEcdsaSignature(keyCheck.signingJwk, proof, signature)) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.AUTH_FAILURE, 'invalid_key_signature');
+      return res.status(401).json({ error: 'Device key not recognized for this account' });
+    }
+    
+    // Same second step as password login when 2FA is enabled
+    if (user.totpEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id.toString(), TWO_FACTOR_PURPOSE)
+      });
+    }
+    
+    await completeLogin(req, res, user, `User ${username} logged in with device key`);
+  } catch (error) {
+    console.error('Key login error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * Message signed with the identity key for passwordless login
+ * Must match buildKeyLoginProof in client/src/utils/crypto.js
+ */
+function buildKeyLoginProof(nonce, username) {
+  return `encircle-login||${nonce}||${username}`;
+}
+
+/**
+ * Log a successful login, reset the throttle and issue a session
+ */
+async function completeLogin(req, res, user, details) {
+  await clearFailedLogins(user);
+  
+  // Log successful login
+  await logSecurityEvent(EVENT_TYPES.AUTH_SUCCESS, {
+    userId: user._id.toString(),
+    ipAddress: getIpAddress(req),
+    details
+  });
+  
+  // Create session
+  const tokens = await createSession(user._id.toString(), req);
+  
+  res.json({
+    message: 'Login successful',
+    userId: user._id,
+    username: user.username,
+    ...tokens
+  });
+}
+
+/**
+ * Log and reject a login attempt made while the account is in backoff or locked
+ */
+async function rejectThrottledAttempt(req, res, user, retryAfter) {
+  await logSecurityEvent(EVENT_TYPES.AUTH_FAILURE, {
+    userId: user._id.toString(),
+    ipAddress: getIpAddress(req),
+    details: `Login attempt for ${user.username} rejected during backoff`,
+    metadata: { username: user.username, reason: 'throttled', retryAfter }
+  });
+  return sendRetryLater(res, retryAfter);
+}
+
+// Refresh (rotate the refresh token and issue a new access token)
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refreshToken, req);
+    
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Logout (revoke the current session)
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await getSessionStore().removeById(req.userId, req.sessionId);
+    await disconnectSessionSockets(io, req.userId, [req.sessionId]);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await getSessionStore().listByUser(req.userId);
+    
+    res.json(sessions.map(session => ({
+      id: session._id.toString(),
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeen: session.lastSeen,
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const removed = await getSessionStore().removeById(req.userId, req.params.sessionId);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await disconnectSessionSockets(io, req.userId, [req.params.sessionId]);
+    
+    await logSecurityEvent(EVENT_TYPES.SESSION_REVOKED, {
+      userId: req.userId,
       ipAddress: getIpAddress(req),
-      details: `User ${username} logged in successfully`
+      details: 'Session revoked',
+      metadata: { sessionId: req.params.sessionId }
     });
     
-    // Create session
-    const token = createSession(user._id.toString());
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking session:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Log out everywhere (revoke every session, including the current one)
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const count = await getSessionStore().removeAllForUser(req.userId);
+    await disconnectSessionSockets(io, req.userId);
     
-    res.json({
-      message: 'Login successful',
-      userId: user._id,
-      username: user.username,
-      token
+    await logSecurityEvent(EVENT_TYPES.SESSION_REVOKED, {
+      userId: req.userId,
+      ipAddress: getIpAddress(req),
+      details: `All sessions revoked (${count})`,
+      metadata: { count }
     });
+    
+    res.json({ success: true, revoked: count });
   } catch (error) {
-    console.error('Login error:', error.message || 'Unknown error');
-    res.status(500).json({ error: 'Login failed' });
+    console.error('Error revoking sessions:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to revoke sessions' });
   }
 });
 
-module.exports = router;
+module.exports = (socketIo) => {
+  io = socketIo;
+  return router;
+};
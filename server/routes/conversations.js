@@ -0,0 +1,162 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Message = require('../models/Message');
+const File = require('../models/File');
+const { authenticate } = require('../middleware/auth');
+const { buildReadUpdate, emitReadReceipts } = require('../utils/receipts');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Socket.io will be injected by the main server
+let io;
+
+/**
+ * Group a user's messages or files by the other participant
+ * Returns [{ _id: peerId, lastActivity, lastId, unreadCount }]
+ */
+function summarizeByPeer(Model, userId, senderField) {
+  const sender = `$${senderField}`;
+
+  return Model.aggregate([
+    { $match: { $or: [{ [senderField]: userId }, { recipientId: userId }] } },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: [sender, userId] }, '$recipientId', sender] },
+        lastActivity: { $first: '$timestamp' },
+        lastId: { $first: '$_id' },
+        unreadCount: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$recipientId', userId] }, { $eq: ['$read', false] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+}
+
+// List conversations with last activity and unread counts, most recent first
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const [messageSummaries, fileSummaries] = await Promise.all([
+      summarizeByPeer(Message, userId, 'senderId'),
+      summarizeByPeer(File, userId, 'uploaderId')
+    ]);
+
+    const conversations = new Map();
+
+    for (const summary of messageSummaries) {
+      conversations.set(summary._id.toString(), {
+        peerId: summary._id.toString(),
+        lastActivity: summary.lastActivity,
+        lastMessageId: summary.lastId,
+        unreadCount: summary.unreadCount
+      });
+    }
+
+    for (const summary of fileSummaries) {
+      const peerId = summary._id.toString();
+      const existing = conversations.get(peerId);
+
+      if (!existing) {
+        conversations.set(peerId, {
+          peerId,
+          lastActivity: summary.lastActivity,
+          lastMessageId: null,
+          unreadCount: summary.unreadCount
+        });
+        continue;
+      }
+
+      existing.unreadCount += summary.unreadCount;
+      if (summary.lastActivity > existing.lastActivity) {
+        existing.lastActivity = summary.lastActivity;
+      }
+    }
+
+    const sorted = [...conversations.values()].sort((a, b) => b.lastActivity - a.lastActivity);
+    res.json(sorted);
+  } catch (error) {
+    console.error('Error fetching conversations:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Get one page of messages with a peer, newest first
+// `before` is the oldest message ID from the previous page
+router.get('/:peerId/messages', authenticate, async (req, res) => {
+  try {
+    const { peerId } = req.params;
+    const { before } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(peerId)) {
+      return res.status(400).json({ error: 'Invalid peer ID' });
+    }
+
+    if (before !== undefined && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const cursor = before ? { _id: { $lt: new mongoose.Types.ObjectId(before) } } : {};
+
+    // Each branch is served by the { senderId, recipientId, _id } index
+    const page = await Message.find({
+      $or: [
+        { senderId: req.userId, recipientId: peerId, ...cursor },
+        { senderId: peerId, recipientId: req.userId, ...cursor }
+      ]
+    })
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse().map(msg => msg.toClientJSON(req.userId));
+
+    res.json({
+      messages,
+      hasMore,
+      nextCursor: hasMore ? messages[0]._id : null
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Mark everything received from a peer as read
+router.post('/:peerId/read', authenticate, async (req, res) => {
+  try {
+    const { peerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(peerId)) {
+      return res.status(400).json({ error: 'Invalid peer ID' });
+    }
+
+    const unreadMessages = await Message.find({ senderId: peerId, recipientId: req.userId, read: false })
+      .select('_id delivered');
+
+    await Promise.all([
+      Message.updateMany({ _id: { $in: unreadMessages.map(msg => msg._id) } }, buildReadUpdate(req.user)),
+      File.updateMany({ uploaderId: peerId, recipientId: req.userId, read: false }, { read: true, delivered: true })
+    ]);
+
+    emitReadReceipts(io, { senderId: peerId, reader: req.user, messages: unreadMessages });
+
+    // Clear the unread badge on the user's other devices
+    if (io) {
+      io.to(req.userId.toString()).emit('conversation_read', { peerId });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking conversation read:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
+module.exports = (socketIo) => {
+  io = socketIo;
+  return router;
+};
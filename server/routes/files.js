@@ -2,12 +2,16 @@ const express = require('express');
 const router = express.Router();
 const File = require('../models/File');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { getConversationId, nextConversationSeq } = require('../utils/conversationSequence');
+const { validateEnvelope, CONTENT_TYPES } = require('../utils/envelope');
+const { appendSyncEvent, SYNC_EVENT_TYPES } = require('../utils/syncLog');
 
 // Socket.io will be injected by the main server
 let io;
 
 // Upload encrypted file
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, idempotency('POST /api/files'), async (req, res) => {
   try {
     const { recipientId, filename, mimeType, size, ciphertext, iv, chunks, keyId, ephemeralPublicKey, signature, headerData } = req.body;
     
@@ -15,9 +19,18 @@ router.post('/', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const envelope = validateEnvelope(req.body, CONTENT_TYPES.FILE);
+    if (!envelope.valid) {
+      return res.status(400).json({ error: envelope.reason });
+    }
+    
+    const conversationId = getConversationId(req.userId, recipientId);
+    
     const file = new File({
       uploaderId: req.userId,
       recipientId,
+      conversationId,
+      conversationSeq: await nextConversationSeq(conversationId),
       filename,
       mimeType,
       size,
@@ -27,33 +40,29 @@ router.post('/', authenticate, async (req, res) => {
       keyId,
       ephemeralPublicKey,
       signature,
-      headerData
+      headerData,
+      ...envelope.fields
     });
     
     await file.save();
     
+    let syncSeq;
+    try {
+      syncSeq = await appendSyncEvent(recipientId, SYNC_EVENT_TYPES.FILE, file._id);
+    } catch (syncError) {
+      // A file missing from the sync log could be lost on reconnect; let the sender retry instead
+      await File.deleteOne({ _id: file._id });
+      throw syncError;
+    }
+    
     // Emit real-time notification to recipient
     if (io) {
-      io.to(recipientId).emit('file', {
-        fileId: file._id,
-        uploaderId: req.userId,
-        recipientId,
-        filename,
-        mimeType,
-        size,
-        ciphertext,
-        iv,
-        chunks: chunks || 1,
-        keyId,
-        ephemeralPublicKey,
-        signature,
-        headerData,
-        timestamp: file.timestamp
-      });
+      io.to(recipientId).emit('file', { ...file.toEventJSON(), syncSeq });
     }
     
     res.status(201).json({
       fileId: file._id,
+      conversationSeq: file.conversationSeq,
       timestamp: file.timestamp
     });
   } catch (error) {
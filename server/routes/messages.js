@@ -2,30 +2,97 @@ const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
 const { authenticate } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('../utils/securityLogger');
+const { buildReadUpdate, emitReceipt, emitReadReceipts } = require('../utils/receipts');
+const { getConversationId, nextConversationSeq } = require('../utils/conversationSequence');
+const { validateEnvelope, CONTENT_TYPES } = require('../utils/envelope');
+const { appendSyncEvent, SYNC_EVENT_TYPES } = require('../utils/syncLog');
+
+// Socket.io will be injected by the main server
+let io;
+
+/**
+ * Reject a replayed message with 409 and log the attempt
+ */
+async function rejectReplay(req, res, reason) {
+  const { recipientId, keyId } = req.body;
+  
+  await logSecurityEvent(EVENT_TYPES.REPLAY_ATTACK, {
+    userId: req.userId,
+    ipAddress: getIpAddress(req),
+    details: `Message to ${recipientId} rejected: ${reason}`,
+    metadata: {
+      reason,
+      recipientId,
+      keyId,
+      userAgent: req.headers['user-agent']
+    }
+  });
+  
+  return res.status(409).json({ error: 'Replay detected: message rejected', reason });
+}
 
 // Send message (store encrypted)
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, idempotency('POST /api/messages'), async (req, res) => {
   try {
-    const { recipientId, ciphertext, iv, keyId, ephemeralPublicKey, headerData, signature, sequenceNumber } = req.body;
+    const { recipientId, ciphertext, iv, keyId, ephemeralPublicKey, headerData, signature, ratchetHeader } = req.body;
     
-    if (!recipientId || !ciphertext || !iv || !keyId || !signature) {
+    // Ratchet messages only carry a signed key exchange until the recipient has replied
+    if (!recipientId || !ciphertext || !iv || !keyId || (!signature && !ratchetHeader)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    if (ratchetHeader !== undefined && typeof ratchetHeader !== 'string') {
+      return res.status(400).json({ error: 'Invalid ratchet header' });
+    }
+    
+    const envelope = validateEnvelope(req.body, CONTENT_TYPES.TEXT);
+    if (!envelope.valid) {
+      return res.status(400).json({ error: envelope.reason });
+    }
+    
+    // Each key exchange is single-use, so a repeated keyId is a replayed message
+    if (await Message.exists({ senderId: req.userId, keyId })) {
+      return rejectReplay(req, res, 'duplicate_key_id');
+    }
+    
+    // Order is assigned here rather than trusted from the client
+    const conversationId = getConversationId(req.userId, recipientId);
+    
     const message = new Message({
       senderId: req.userId,
       recipientId,
+      conversationId,
+      conversationSeq: await nextConversationSeq(conversationId),
       ciphertext,
       iv,
       keyId,
       ephemeralPublicKey,
       headerData,
       signature,
-      sequenceNumber: sequenceNumber || 0
+      ratchetHeader,
+      ...envelope.fields
     });
     
-    await message.save();
+    try {
+      await message.save();
+    } catch (saveError) {
+      // The unique keyId index catches replays racing the check above
+      if (saveError.code === 11000) {
+        return rejectReplay(req, res, 'duplicate_message');
+      }
+      throw saveError;
+    }
+    
+    let syncSeq;
+    try {
+      syncSeq = await appendSyncEvent(recipientId, SYNC_EVENT_TYPES.MESSAGE, message._id);
+    } catch (syncError) {
+      // A message missing from the sync log could be lost on reconnect; let the sender retry instead
+      await Message.deleteOne({ _id: message._id });
+      throw syncError;
+    }
     
     // Log message sent
     await logSecurityEvent(EVENT_TYPES.MESSAGE_SENT, {
@@ -35,8 +102,14 @@ router.post('/', authenticate, async (req, res) => {
       metadata: { messageId: message._id.toString(), recipientId }
     });
     
+    // Relay to the recipient only once persisted; sender comes from the verified session
+    if (io) {
+      io.to(recipientId).emit('message', { ...message.toEventJSON(), syncSeq });
+    }
+    
     res.status(201).json({
       messageId: message._id,
+      conversationSeq: message.conversationSeq,
       timestamp: message.timestamp
     });
   } catch (error) {
@@ -56,11 +129,7 @@ router.get('/', authenticate, async (req, res) => {
     }).sort({ timestamp: 1 });
     
     // Convert ObjectIds to strings for consistency
-    const formattedMessages = messages.map(msg => ({
-      ...msg.toObject(),
-      senderId: msg.senderId.toString(),
-      recipientId: msg.recipientId.toString()
-    }));
+    const formattedMessages = messages.map(msg => msg.toClientJSON(req.userId));
     
     res.json(formattedMessages);
   } catch (error) {
@@ -72,16 +141,20 @@ router.get('/', authenticate, async (req, res) => {
 // Mark message as delivered
 router.patch('/:messageId/delivered', authenticate, async (req, res) => {
   try {
+    // Returns the document as it was before the update
     const message = await Message.findOneAndUpdate(
       { _id: req.params.messageId, recipientId: req.userId },
-      { delivered: true },
-      { new: true }
+      { delivered: true }
     );
     
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
     
+    if (!message.delivered) {
+      emitReceipt(io, message.senderId, req.userId, 'delivered', [message._id]);
+    }
+    
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating message:', error.message || 'Unknown error');
@@ -92,16 +165,20 @@ router.patch('/:messageId/delivered', authenticate, async (req, res) => {
 // Mark message as read
 router.patch('/:messageId/read', authenticate, async (req, res) => {
   try {
+    // Returns the document as it was before the update
     const message = await Message.findOneAndUpdate(
       { _id: req.params.messageId, recipientId: req.userId },
-      { read: true },
-      { new: true }
+      buildReadUpdate(req.user)
     );
     
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
     
+    if (!message.read) {
+      emitReadReceipts(io, { senderId: message.senderId, reader: req.user, messages: [message] });
+    }
+    
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating message:', error.message || 'Unknown error');
@@ -109,4 +186,7 @@ router.patch('/:messageId/read', authenticate, async (req, res) => {
   }
 });
 
-module.exports = router;
+module.exports = (socketIo) => {
+  io = socketIo;
+  return router;
+};
@@ -38,6 +38,16 @@ router.get('/stats', authenticate, async (req, res) => {
       messageSent: 0,
       invalidSignature: 0,
       decryptionFailure: 0,
+      accountLocked: 0,
+      // Key exchange headers rejected by recipients, in total and by failed check
+      keyExchangeRejected: 0,
+      keyExchangeRejections: {
+        malformedHeader: 0,
+        ephemeralMismatch: 0,
+        keyIdMismatch: 0,
+        contextMismatch: 0,
+        staleHeader: 0
+      },
       criticalCount: criticalCount
     };
 
@@ -61,9 +71,30 @@ router.get('/stats', authenticate, async (req, res) => {
         case 'decryption_failure':
           formattedStats.decryptionFailure = stat.count;
           break;
+        case 'account_locked':
+          formattedStats.accountLocked = stat.count;
+          break;
+        case 'key_exchange_malformed_header':
+          formattedStats.keyExchangeRejections.malformedHeader = stat.count;
+          break;
+        case 'key_exchange_ephemeral_mismatch':
+          formattedStats.keyExchangeRejections.ephemeralMismatch = stat.count;
+          break;
+        case 'key_exchange_key_id_mismatch':
+          formattedStats.keyExchangeRejections.keyIdMismatch = stat.count;
+          break;
+        case 'key_exchange_context_mismatch':
+          formattedStats.keyExchangeRejections.contextMismatch = stat.count;
+          break;
+        case 'key_exchange_stale_header':
+          formattedStats.keyExchangeRejections.staleHeader = stat.count;
+          break;
       }
     });
 
+    formattedStats.keyExchangeRejected = Object.values(formattedStats.keyExchangeRejections)
+      .reduce((total, count) => total + count, 0);
+
     res.json(formattedStats);
   } catch (error) {
     console.error('Error fetching security stats:', error.message);
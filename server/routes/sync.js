@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const Message = require('../models/Message');
+const File = require('../models/File');
+const SyncEvent = require('../models/SyncEvent');
+const { authenticate } = require('../middleware/auth');
+const { SYNC_EVENT_TYPES, getLastSyncSeq } = require('../utils/syncLog');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Replay `message` and `file` events received after a cursor (the last sync position processed)
+// Without `after`, returns the current cursor so the client can start tracking
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { after } = req.query;
+
+    if (after === undefined) {
+      return res.json({ events: [], cursor: await getLastSyncSeq(req.userId), hasMore: false });
+    }
+
+    const cursor = Number(after);
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const log = await SyncEvent.find({ recipientId: req.userId, seq: { $gt: cursor } })
+      .sort({ seq: 1 })
+      .limit(limit + 1);
+    const page = log.slice(0, limit);
+
+    const idsOf = type => page.filter(event => event.type === type).map(event => event.documentId);
+    const [messages, files] = await Promise.all([
+      Message.find({ _id: { $in: idsOf(SYNC_EVENT_TYPES.MESSAGE) } }),
+      File.find({ _id: { $in: idsOf(SYNC_EVENT_TYPES.FILE) } })
+    ]);
+    const documents = new Map([...messages, ...files].map(doc => [doc._id.toString(), doc]));
+
+    const events = page
+      .filter(event => documents.has(event.documentId.toString()))
+      .map(event => ({
+        type: event.type,
+        data: { ...documents.get(event.documentId.toString()).toEventJSON(), syncSeq: event.seq }
+      }));
+
+    res.json({
+      events,
+      cursor: page.length > 0 ? page[page.length - 1].seq : cursor,
+      hasMore: log.length > limit
+    });
+  } catch (error) {
+    console.error('Error syncing events:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to sync' });
+  }
+});
+
+module.exports = router;
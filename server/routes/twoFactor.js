@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { authenticate, hashToken } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('../utils/securityLogger');
+const { getRetryAfter, clearFailedLogins, handleFailedAttempt, sendRetryLater } = require('../utils/loginThrottle');
+
+// What a failed disable attempt is logged as
+const DISABLE_ACTION = 'two-factor disable';
+
+// Get two-factor status for the current user
+router.get('/', authenticate, async (req, res) => {
+  res.json({
+    enabled: req.user.totpEnabled,
+    recoveryCodesRemaining: req.user.totpEnabled ? req.user.recoveryCodeHashes.length : 0
+  });
+});
+
+// Start enrollment: generate a secret and return it as an otpauth URI and QR code
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.userId }, { totpPendingSecret: secret });
+    
+    const otpauthUri = buildOtpauthUri(secret, req.user.username);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+    
+    res.json({ otpauthUri, qrCode, secret });
+  } catch (error) {
+    console.error('2FA setup error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrollment: verify the first code and issue recovery codes
+router.post('/verify', authenticate, authLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+    
+    if (user.totpEnabled || !user.totpPendingSecret) {
+      return res.status(400).json({ error: 'No two-factor setup in progress' });
+    }
+    
+    const step = verifyCode(user.totpPendingSecret, code);
+    if (step === null) {
+      await logSecurityEvent(EVENT_TYPES.TOTP_FAILURE, {
+        userId: req.userId,
+        ipAddress: getIpAddress(req),
+        details: 'Invalid code during two-factor enrollment',
+        metadata: { reason: 'enrollment' }
+      });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    
+    await User.updateOne({ _id: req.userId }, {
+      totpEnabled: true,
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpLastUsedStep: step,
+      recoveryCodeHashes: recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)))
+    });
+    
+    await logSecurityEvent(EVENT_TYPES.TOTP_ENROLLED, {
+      userId: req.userId,
+      ipAddress: getIpAddress(req),
+      details: `Two-factor authentication enabled for ${user.username}`
+    });
+    
+    // Recovery codes are only ever shown once
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('2FA verify error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to verify two-factor setup' });
+  }
+});
+
+// Disable two-factor authentication (requires password and a current code)
+// Wrong passwords and codes count towards the same backoff and lockout as failed logins
+router.post('/disable', authenticate, authLimiter, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+    
+    if (!user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const retryAfter = getRetryAfter(user);
+    if (retryAfter > 0) {
+      return sendRetryLater(res, retryAfter);
+    }
+    
+    if (!password || !(await user.comparePassword(password))) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.AUTH_FAILURE, 'invalid_password', DISABLE_ACTION);
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    
+    const codeValid = recoveryCode
+      ? user.recoveryCodeHashes.includes(hashToken(normalizeRecoveryCode(recoveryCode)))
+      : verifyCode(user.totpSecret, code, user.totpLastUsedStep) !== null;
+    
+    if (!codeValid) {
+      await handleFailedAttempt(req, user, EVENT_TYPES.TOTP_FAILURE,
+        recoveryCode ? 'invalid_recovery_code' : 'invalid_totp_code', DISABLE_ACTION);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    await clearFailedLogins(user);
+    
+    await User.updateOne({ _id: req.userId }, {
+      totpEnabled: false,
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpLastUsedStep: -1,
+      recoveryCodeHashes: []
+    });
+    
+    await logSecurityEvent(EVENT_TYPES.TOTP_DISABLED, {
+      userId: req.userId,
+      ipAddress: getIpAddress(req),
+      details: `Two-factor authentication disabled for ${user.username}`
+    });
+    
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error('2FA disable error:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const OneTimePrekey = require('../models/OneTimePrekey');
 const { authenticate } = require('../middleware/auth');
 const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('../utils/securityLogger');
+const { validateJwk, validatePublicKeyBundle, verifyEcdsaSignature } = require('../utils/keyValidation');
+
+// Prekey IDs are chosen by the client
+const PREKEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Most one-time prekeys per upload, and kept per user
+const MAX_PREKEY_BATCH = 100;
+const MAX_STORED_PREKEYS = 200;
 
 // Get all users (for contact list)
 router.get('/', authenticate, async (req, res) => {
@@ -15,6 +23,213 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Boolean privacy settings a user can change about themselves
+const SETTINGS_FIELDS = ['readReceiptsEnabled', 'lastSeenVisible'];
+
+function formatSettings(user) {
+  return Object.fromEntries(SETTINGS_FIELDS.map(field => [field, user[field]]));
+}
+
+// Get current user's settings
+router.get('/me/settings', authenticate, (req, res) => {
+  res.json(formatSettings(req.user));
+});
+
+// Update current user's settings
+router.patch('/me/settings', authenticate, async (req, res) => {
+  try {
+    const updates = {};
+    
+    for (const field of SETTINGS_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      
+      if (typeof req.body[field] !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+      updates[field] = req.body[field];
+    }
+    
+    const user = await User.findByIdAndUpdate(req.userId, { $set: updates }, { new: true });
+    res.json(formatSettings(user));
+  } catch (error) {
+    console.error('Error updating settings:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+/**
+ * Message the identity signing key signs to vouch for a signed prekey
+ * Must match buildSignedPrekeyProof in client/src/utils/crypto.js
+ */
+function buildSignedPrekeyProof(keyId, publicKey) {
+  return `encircle-signed-prekey||${keyId}||${publicKey}`;
+}
+
+// Get current user's prekey status, so the client knows when to rotate or replenish
+router.get('/me/prekeys', authenticate, async (req, res) => {
+  try {
+    const { signedPrekey } = req.user;
+    const oneTimePrekeyCount = await OneTimePrekey.countDocuments({ userId: req.userId });
+    
+    res.json({
+      signedPrekey: signedPrekey?.keyId
+        ? { keyId: signedPrekey.keyId, createdAt: signedPrekey.createdAt }
+        : null,
+      oneTimePrekeyCount
+    });
+  } catch (error) {
+    console.error('Error fetching prekey status:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to fetch prekey status' });
+  }
+});
+
+// Publish a new signed prekey, replacing the previous one
+router.put('/me/signed-prekey', authenticate, async (req, res) => {
+  try {
+    const { keyId, publicKey, signature } = req.body;
+    
+    if (typeof keyId !== 'string' || !PREKEY_ID_PATTERN.test(keyId) || typeof signature !== 'string') {
+      return res.status(400).json({ error: 'Signed prekey needs a keyId, publicKey and signature' });
+    }
+    
+    const keyCheck = validateJwk(publicKey, 'prekey');
+    if (!keyCheck.valid) {
+      return res.status(400).json({ error: keyCheck.reason });
+    }
+    
+    // The identity signing key must vouch for the prekey, or a server could substitute its own
+    const identity = validatePublicKeyBundle(req.user.publicKey);
+    const proof = buildSignedPrekeyProof(keyId, publicKey);
+    if (!identity.valid || !verifyEcdsaSignature(identity.signingJwk, proof, signature)) {
+      await logSecurityEvent(EVENT_TYPES.INVALID_SIGNATURE, {
+        userId: req.userId,
+        ipAddress: getIpAddress(req),
+        details: 'Invalid signature on uploaded signed prekey',
+        metadata: { keyId }
+      });
+      return res.status(400).json({ error: 'Invalid signed prekey signature' });
+    }
+    
+    await User.updateOne(
+      { _id: req.userId },
+      { $set: { signedPrekey: { keyId, publicKey, signature, createdAt: new Date() } } }
+    );
+    
+    res.json({ keyId });
+  } catch (error) {
+    console.error('Error publishing signed prekey:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to publish signed prekey' });
+  }
+});
+
+// Upload a batch of one-time prekeys
+// With `replace`, the stored ones are dropped first (their private keys were lost)
+router.post('/me/one-time-prekeys', authenticate, async (req, res) => {
+  try {
+    const { prekeys, replace = false } = req.body;
+    
+    if (!Array.isArray(prekeys) || prekeys.length === 0 || prekeys.length > MAX_PREKEY_BATCH) {
+      return res.status(400).json({ error: `prekeys must be an array of 1 to ${MAX_PREKEY_BATCH} keys` });
+    }
+    
+    if (typeof replace !== 'boolean') {
+      return res.status(400).json({ error: 'replace must be a boolean' });
+    }
+    
+    for (const prekey of prekeys) {
+      if (!prekey || typeof prekey.keyId !== 'string' || !PREKEY_ID_PATTERN.test(prekey.keyId)) {
+        return res.status(400).json({ error: 'Invalid one-time prekey ID' });
+      }
+      
+      const keyCheck = validateJwk(prekey.publicKey, 'prekey');
+      if (!keyCheck.valid) {
+        return res.status(400).json({ error: keyCheck.reason });
+      }
+    }
+    
+    if (new Set(prekeys.map(prekey => prekey.keyId)).size !== prekeys.length) {
+      return res.status(400).json({ error: 'Duplicate one-time prekey IDs' });
+    }
+    
+    if (replace) {
+      await OneTimePrekey.deleteMany({ userId: req.userId });
+    }
+    
+    const stored = await OneTimePrekey.countDocuments({ userId: req.userId });
+    if (stored + prekeys.length > MAX_STORED_PREKEYS) {
+      return res.status(400).json({ error: `At most ${MAX_STORED_PREKEYS} one-time prekeys can be stored` });
+    }
+    
+    try {
+      await OneTimePrekey.insertMany(prekeys.map(({ keyId, publicKey }) => ({
+        userId: req.userId,
+        keyId,
+        publicKey
+      })));
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'One-time prekey ID already uploaded' });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({ oneTimePrekeyCount: stored + prekeys.length });
+  } catch (error) {
+    console.error('Error uploading one-time prekeys:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to upload one-time prekeys' });
+  }
+});
+
+// Get user's prekey bundle for an X3DH key exchange
+// Each bundle takes one one-time prekey off the server, so no two initiators are given the same one
+router.get('/:userId/prekey-bundle', authenticate, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    
+    // Validate userId is not undefined or empty
+    if (!userId || userId === 'undefined' || userId === 'null') {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Users who have not published a signed prekey yet get the plain identity key exchange
+    const signedPrekey = user.signedPrekey?.keyId ? user.signedPrekey : null;
+    const oneTimePrekey = signedPrekey
+      ? await OneTimePrekey.findOneAndDelete({ userId: user._id }, { sort: { createdAt: 1 } })
+      : null;
+    
+    await logSecurityEvent(EVENT_TYPES.PUBLIC_KEY_ACCESS, {
+      userId: req.userId,
+      ipAddress: getIpAddress(req),
+      details: `Prekey bundle fetched for user ${userId}`,
+      metadata: { targetUserId: userId, oneTimePrekeyId: oneTimePrekey?.keyId }
+    });
+    
+    res.json({
+      userId: user._id,
+      publicKey: user.publicKey,
+      keyFingerprint: user.keyFingerprint,
+      signedPrekey: signedPrekey && {
+        keyId: signedPrekey.keyId,
+        publicKey: signedPrekey.publicKey,
+        signature: signedPrekey.signature
+      },
+      oneTimePrekey: oneTimePrekey && {
+        keyId: oneTimePrekey.keyId,
+        publicKey: oneTimePrekey.publicKey
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching prekey bundle:', error.message || 'Unknown error');
+    res.status(500).json({ error: 'Failed to fetch prekey bundle' });
+  }
+});
+
 // Get user's public key
 router.get('/:userId/public-key', authenticate, async (req, res) => {
   try {
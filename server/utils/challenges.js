@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const AuthChallenge = require('../models/AuthChallenge');
+
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Issue a single-use challenge nonce for the given purpose
+ */
+async function issueChallenge(purpose, { userId, ipAddress } = {}) {
+  const nonce = crypto.randomBytes(32).toString('base64');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL);
+
+  await AuthChallenge.create({ nonce, purpose, userId, ipAddress, expiresAt });
+
+  return { nonce, expiresAt };
+}
+
+/**
+ * Consume a challenge: returns it and deletes it atomically so it can only be used once
+ * Returns null if the nonce is unknown, expired or was issued for another purpose
+ */
+async function consumeChallenge(nonce, purpose) {
+  if (typeof nonce !== 'string' || !nonce) return null;
+
+  return AuthChallenge.findOneAndDelete({
+    nonce,
+    purpose,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+}
+
+module.exports = {
+  issueChallenge,
+  consumeChallenge
+};
@@ -0,0 +1,44 @@
+const Message = require('../models/Message');
+const File = require('../models/File');
+
+/**
+ * IDs (strings) of everyone a user has exchanged messages or files with
+ */
+async function getConversationPeerIds(userId) {
+  const [sentTo, receivedFrom, filesSentTo, filesReceivedFrom] = await Promise.all([
+    Message.distinct('recipientId', { senderId: userId }),
+    Message.distinct('senderId', { recipientId: userId }),
+    File.distinct('recipientId', { uploaderId: userId }),
+    File.distinct('uploaderId', { recipientId: userId })
+  ]);
+
+  const peerIds = [...sentTo, ...receivedFrom, ...filesSentTo, ...filesReceivedFrom].map(id => id.toString());
+  return [...new Set(peerIds)];
+}
+
+/**
+ * Whether two users have exchanged at least one message or file
+ */
+async function isConversationPeer(userId, peerId) {
+  const [message, file] = await Promise.all([
+    Message.exists({
+      $or: [
+        { senderId: userId, recipientId: peerId },
+        { senderId: peerId, recipientId: userId }
+      ]
+    }),
+    File.exists({
+      $or: [
+        { uploaderId: userId, recipientId: peerId },
+        { uploaderId: peerId, recipientId: userId }
+      ]
+    })
+  ]);
+
+  return Boolean(message || file);
+}
+
+module.exports = {
+  getConversationPeerIds,
+  isConversationPeer
+};
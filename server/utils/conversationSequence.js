@@ -0,0 +1,28 @@
+const Counter = require('../models/Counter');
+
+/**
+ * Stable ID for the conversation between two users, independent of who sends
+ */
+function getConversationId(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+}
+
+/**
+ * Reserve the next sequence number in a conversation
+ * The upserted counter is incremented atomically, so concurrent sends never share a number.
+ * Numbers are strictly increasing but may have gaps (e.g. a send that fails after reserving).
+ */
+async function nextConversationSeq(conversationId) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `conversation:${conversationId}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+}
+
+module.exports = {
+  getConversationId,
+  nextConversationSeq
+};
@@ -0,0 +1,52 @@
+/**
+ * Server-side checks for versioned message envelopes
+ *
+ * The server cannot check an envelope's contents: recipients verify the signature and the
+ * AES-GCM additional data. It only makes sure a v2 envelope carries its authenticated fields.
+ * Envelopes without `envelopeVersion` are v1 (clients reject them unless in legacy mode).
+ */
+
+const ENVELOPE_VERSION = 2;
+const CONTENT_TYPES = {
+  TEXT: 'text',
+  FILE: 'file'
+};
+
+/**
+ * Validate the envelope fields of an upload of the given content type
+ * Returns { valid, reason } or { valid, fields } with the fields to store
+ */
+function validateEnvelope(body, contentType) {
+  const { envelopeVersion, senderSeq, envelopeSignature } = body;
+
+  if (envelopeVersion === undefined) {
+    return { valid: true, fields: {} };
+  }
+
+  if (envelopeVersion !== ENVELOPE_VERSION) {
+    return { valid: false, reason: `Unsupported envelope version ${envelopeVersion}` };
+  }
+
+  if (body.contentType !== contentType) {
+    return { valid: false, reason: `Envelope content type must be ${contentType}` };
+  }
+
+  if (!Number.isInteger(senderSeq) || senderSeq < 0) {
+    return { valid: false, reason: 'Invalid envelope sequence number' };
+  }
+
+  if (typeof envelopeSignature !== 'string' || !envelopeSignature) {
+    return { valid: false, reason: 'Missing envelope signature' };
+  }
+
+  return {
+    valid: true,
+    fields: { envelopeVersion, contentType, senderSeq, envelopeSignature }
+  };
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  CONTENT_TYPES,
+  validateEnvelope
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+/**
+ * Server-side checks for client identity keys
+ *
+ * Clients upload `publicKey` as a JSON string {signing, dh}, where each member is
+ * itself the JSON string of a Web Crypto P-256 public JWK.
+ */
+
+// Members Web Crypto emits when exporting an EC public key
+const ALLOWED_JWK_MEMBERS = ['kty', 'crv', 'x', 'y', 'ext', 'key_ops'];
+const ALLOWED_KEY_OPS = {
+  signing: ['verify'],
+  dh: [],
+  prekey: []
+};
+// base64url encoding of a 32-byte P-256 coordinate
+const COORDINATE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Validate a single P-256 public JWK string
+ */
+function validateJwk(jwkString, role) {
+  if (typeof jwkString !== 'string') {
+    return { valid: false, reason: `${role} key must be a JWK string` };
+  }
+
+  let jwk;
+  try {
+    jwk = JSON.parse(jwkString);
+  } catch (error) {
+    return { valid: false, reason: `${role} key is not valid JSON` };
+  }
+
+  if (!jwk || typeof jwk !== 'object' || Array.isArray(jwk)) {
+    return { valid: false, reason: `${role} key is not a JWK object` };
+  }
+
+  const extra = Object.keys(jwk).filter(member => !ALLOWED_JWK_MEMBERS.includes(member));
+  if (extra.length > 0) {
+    return { valid: false, reason: `${role} key has unexpected members: ${extra.join(', ')}` };
+  }
+
+  if (jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+    return { valid: false, reason: `${role} key must be a P-256 EC key` };
+  }
+
+  if (!COORDINATE_PATTERN.test(jwk.x || '') || !COORDINATE_PATTERN.test(jwk.y || '')) {
+    return { valid: false, reason: `${role} key has malformed coordinates` };
+  }
+
+  if ('ext' in jwk && typeof jwk.ext !== 'boolean') {
+    return { valid: false, reason: `${role} key has malformed ext member` };
+  }
+
+  if ('key_ops' in jwk) {
+    const ops = jwk.key_ops;
+    if (!Array.isArray(ops) || ops.some(op => !ALLOWED_KEY_OPS[role].includes(op))) {
+      return { valid: false, reason: `${role} key has invalid key_ops` };
+    }
+  }
+
+  // Rejects points that are not on the curve
+  try {
+    crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }, format: 'jwk' });
+  } catch (error) {
+    return { valid: false, reason: `${role} key is not a valid P-256 point` };
+  }
+
+  return { valid: true, jwk };
+}
+
+/**
+ * Validate the {signing, dh} public key bundle uploaded at registration
+ */
+function validatePublicKeyBundle(publicKey) {
+  let bundle;
+  try {
+    bundle = JSON.parse(publicKey);
+  } catch (error) {
+    return { valid: false, reason: 'Public key bundle is not valid JSON' };
+  }
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { valid: false, reason: 'Public key bundle must be an object' };
+  }
+
+  const members = Object.keys(bundle).sort();
+  if (members.join(',') !== 'dh,signing') {
+    return { valid: false, reason: 'Public key bundle must contain exactly signing and dh keys' };
+  }
+
+  const signing = validateJwk(bundle.signing, 'signing');
+  if (!signing.valid) return signing;
+
+  const dh = validateJwk(bundle.dh, 'dh');
+  if (!dh.valid) return dh;
+
+  return {
+    valid: true,
+    signingJwk: signing.jwk,
+    signingJwkString: bundle.signing,
+    dhJwk: dh.jwk
+  };
+}
+
+/**
+ * SHA-256 fingerprint of a JWK string, matching calculateKeyFingerprint on the client
+ */
+function computeKeyFingerprint(jwkString) {
+  return crypto.createHash('sha256').update(jwkString, 'utf8').digest('hex');
+}
+
+/**
+ * Verify a Web Crypto ECDSA P-256/SHA-256 signature (raw r||s, base64)
+ */
+function verifyEcdsaSignature(jwk, data, signatureBase64) {
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      format: 'jwk'
+    });
+
+    return crypto.verify(
+      'sha256',
+      Buffer.from(data, 'utf8'),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signatureBase64, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  validateJwk,
+  validatePublicKeyBundle,
+  computeKeyFingerprint,
+  verifyEcdsaSignature
+};
@@ -0,0 +1,150 @@
+const User = require('../models/User');
+const { logSecurityEvent, EVENT_TYPES, getIpAddress } = require('./securityLogger');
+
+/**
+ * Per-account login throttling
+ *
+ * The first FREE_ATTEMPTS failures are free. After that every failure forces
+ * an exponentially growing wait before the next attempt, and reaching
+ * MAX_ATTEMPTS locks the account for LOCKOUT_DURATION. Once a lockout has
+ * expired the next failure restarts the backoff at its first delay, and the
+ * count is forgotten after FAILURE_RESET_AFTER without failures. Counters live
+ * on the User document so they are shared by every server instance.
+ */
+const FREE_ATTEMPTS = 3;
+const MAX_ATTEMPTS = 10;
+const BASE_DELAY = 1000; // 1 second, doubled per extra failure
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const FAILURE_RESET_AFTER = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Milliseconds until the account may attempt to log in again (0 if allowed now)
+ */
+function getRetryAfter(user) {
+  if (!user.nextLoginAllowedAt) return 0;
+  return Math.max(0, user.nextLoginAllowedAt.getTime() - Date.now());
+}
+
+/**
+ * Forget failures older than FAILURE_RESET_AFTER, and step back from an expired
+ * lockout to the start of the backoff instead of locking again on one failure
+ * Conditional updates, so parallel attempts cannot reset a count twice
+ */
+async function decayFailedLogins(user) {
+  const now = new Date();
+
+  await User.updateOne(
+    {
+      _id: user._id,
+      failedLoginAttempts: { $gt: 0 },
+      $or: [
+        { lastFailedLoginAt: null },
+        { lastFailedLoginAt: { $lt: new Date(now.getTime() - FAILURE_RESET_AFTER) } }
+      ]
+    },
+    { failedLoginAttempts: 0, nextLoginAllowedAt: null }
+  );
+
+  await User.updateOne(
+    {
+      _id: user._id,
+      failedLoginAttempts: { $gte: MAX_ATTEMPTS },
+      nextLoginAllowedAt: { $lte: now }
+    },
+    { failedLoginAttempts: FREE_ATTEMPTS }
+  );
+}
+
+/**
+ * Record a failed login and apply the backoff policy
+ * Returns the attempt count, whether the account is now locked and the wait in ms
+ */
+async function recordFailedLogin(user) {
+  await decayFailedLogins(user);
+
+  // Atomic increment so parallel attempts are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+  const attempts = updated.failedLoginAttempts;
+
+  let delay = 0;
+  if (attempts >= MAX_ATTEMPTS) {
+    delay = LOCKOUT_DURATION;
+  } else if (attempts > FREE_ATTEMPTS) {
+    delay = BASE_DELAY * Math.pow(2, attempts - FREE_ATTEMPTS - 1);
+  }
+
+  if (delay > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { nextLoginAllowedAt: new Date(Date.now() + delay) }
+    );
+  }
+
+  return {
+    attempts,
+    locked: attempts >= MAX_ATTEMPTS,
+    retryAfter: delay
+  };
+}
+
+/**
+ * Reset the failure counter after a successful login
+ */
+async function clearFailedLogins(user) {
+  if (!user.failedLoginAttempts && !user.nextLoginAllowedAt) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, nextLoginAllowedAt: null, lastFailedLoginAt: null }
+  );
+}
+
+/**
+ * Count a failed credential check towards the account's backoff and log it
+ * `action` names what was attempted in the log (e.g. 'login')
+ */
+async function handleFailedAttempt(req, user, eventType, reason, action = 'login') {
+  const failure = await recordFailedLogin(user);
+  
+  await logSecurityEvent(eventType, {
+    userId: user._id.toString(),
+    ipAddress: getIpAddress(req),
+    details: `Failed ${action} for ${user.username} (attempt ${failure.attempts})`,
+    metadata: { username: user.username, reason, attempts: failure.attempts }
+  });
+  
+  if (failure.locked) {
+    await logSecurityEvent(EVENT_TYPES.ACCOUNT_LOCKED, {
+      userId: user._id.toString(),
+      ipAddress: getIpAddress(req),
+      details: `Account ${user.username} locked after ${failure.attempts} failed attempts`,
+      metadata: { username: user.username, attempts: failure.attempts, lockedFor: failure.retryAfter }
+    });
+  }
+}
+
+/**
+ * Reject an attempt that arrives before the backoff/lockout has passed
+ */
+function sendRetryLater(res, retryAfter) {
+  const seconds = Math.ceil(retryAfter / 1000);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${seconds} seconds.`,
+    retryAfter: seconds
+  });
+}
+
+module.exports = {
+  getRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+  handleFailedAttempt,
+  sendRetryLater,
+  MAX_ATTEMPTS,
+  LOCKOUT_DURATION
+};
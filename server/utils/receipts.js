@@ -0,0 +1,45 @@
+/**
+ * Delivery and read receipts pushed to message senders over Socket.io
+ */
+
+/**
+ * Fields to set when a recipient reads messages
+ * `readReceiptSent` is only set when the reader allows read receipts, and never cleared
+ */
+function buildReadUpdate(reader) {
+  const update = { read: true, delivered: true };
+  if (reader.readReceiptsEnabled) update.readReceiptSent = true;
+  return update;
+}
+
+/**
+ * Push a receipt for some of the sender's messages to their devices
+ */
+function emitReceipt(io, senderId, recipientId, status, messageIds) {
+  if (!io || messageIds.length === 0) return;
+
+  io.to(senderId.toString()).emit('receipt', {
+    status,
+    peerId: recipientId.toString(),
+    messageIds: messageIds.map(id => id.toString())
+  });
+}
+
+/**
+ * Report messages that were just read (pre-update documents)
+ * Without read receipts, they are only reported as delivered, if they weren't already
+ */
+function emitReadReceipts(io, { senderId, reader, messages }) {
+  if (reader.readReceiptsEnabled) {
+    emitReceipt(io, senderId, reader._id, 'read', messages.map(msg => msg._id));
+  } else {
+    const undelivered = messages.filter(msg => !msg.delivered);
+    emitReceipt(io, senderId, reader._id, 'delivered', undelivered.map(msg => msg._id));
+  }
+}
+
+module.exports = {
+  buildReadUpdate,
+  emitReceipt,
+  emitReadReceipts
+};
@@ -14,7 +14,20 @@ const EVENT_TYPES = {
   KEY_EXCHANGE_FAILURE: 'key_exchange_failure',
   PUBLIC_KEY_ACCESS: 'public_key_access',
   REGISTRATION_SUCCESS: 'registration_success',
-  REGISTRATION_FAILURE: 'registration_failure'
+  REGISTRATION_FAILURE: 'registration_failure',
+  SESSION_REVOKED: 'session_revoked',
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  ACCOUNT_LOCKED: 'account_locked',
+  TOTP_ENROLLED: 'totp_enrolled',
+  TOTP_DISABLED: 'totp_disabled',
+  TOTP_FAILURE: 'totp_failure',
+  SOCKET_AUTH_FAILURE: 'socket_auth_failure',
+  SOCKET_ROOM_VIOLATION: 'socket_room_violation',
+  KEY_EXCHANGE_MALFORMED_HEADER: 'key_exchange_malformed_header',
+  KEY_EXCHANGE_EPHEMERAL_MISMATCH: 'key_exchange_ephemeral_mismatch',
+  KEY_EXCHANGE_KEY_ID_MISMATCH: 'key_exchange_key_id_mismatch',
+  KEY_EXCHANGE_CONTEXT_MISMATCH: 'key_exchange_context_mismatch',
+  KEY_EXCHANGE_STALE_HEADER: 'key_exchange_stale_header'
 };
 
 /**
@@ -62,7 +75,16 @@ function getCriticalEvents() {
   return [
     EVENT_TYPES.REPLAY_ATTACK,
     EVENT_TYPES.INVALID_SIGNATURE,
-    EVENT_TYPES.AUTH_FAILURE
+    EVENT_TYPES.AUTH_FAILURE,
+    EVENT_TYPES.REFRESH_TOKEN_REUSE,
+    EVENT_TYPES.ACCOUNT_LOCKED,
+    EVENT_TYPES.TOTP_FAILURE,
+    EVENT_TYPES.SOCKET_ROOM_VIOLATION,
+    EVENT_TYPES.KEY_EXCHANGE_MALFORMED_HEADER,
+    EVENT_TYPES.KEY_EXCHANGE_EPHEMERAL_MISMATCH,
+    EVENT_TYPES.KEY_EXCHANGE_KEY_ID_MISMATCH,
+    EVENT_TYPES.KEY_EXCHANGE_CONTEXT_MISMATCH,
+    EVENT_TYPES.KEY_EXCHANGE_STALE_HEADER
   ];
 }
 
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+/**
+ * Session store drivers
+ *
+ * A session is one refresh-token family: every rotation replaces tokenHash
+ * and moves the old hash to previousTokenHashes.
+ *
+ * Every driver exposes the same async interface:
+ *   create(session)                      - persist a new session record
+ *   findById(id)                         - return the live session or null
+ *   findByTokenHash(tokenHash)           - session whose current refresh token matches
+ *   findByPreviousTokenHash(tokenHash)   - session that already rotated this token away
+ *   rotate(id, oldHash, newHash, expiresAt) - swap refresh tokens, null if oldHash is stale
+ *   touch(id, lastSeen)                  - update the last-seen time
+ *   listByUser(userId)                   - all live sessions of a user
+ *   removeById(userId, id)               - delete one of a user's sessions, returns true if found
+ *   removeAllForUser(userId)             - delete every session of a user, returns the count
+ */
+
+/**
+ * MongoDB-backed store (default). Survives restarts and is shared
+ * between server instances; expiry is handled by a TTL index.
+ */
+function createMongoSessionStore() {
+  const live = () => ({ expiresAt: { $gt: new Date() } });
+
+  return {
+    async create(session) {
+      const doc = await Session.create(session);
+      return doc.toObject();
+    },
+
+    async findById(id) {
+      if (!mongoose.Types.ObjectId.isValid(id)) return null;
+      return Session.findOne({ _id: id, ...live() }).lean();
+    },
+
+    async findByTokenHash(tokenHash) {
+      return Session.findOne({ tokenHash, ...live() }).lean();
+    },
+
+    async findByPreviousTokenHash(tokenHash) {
+      return Session.findOne({ previousTokenHashes: tokenHash }).lean();
+    },
+
+    async rotate(id, oldHash, newHash, expiresAt) {
+      // Conditional update so two concurrent refreshes cannot both succeed
+      return Session.findOneAndUpdate(
+        { _id: id, tokenHash: oldHash, ...live() },
+        {
+          $set: { tokenHash: newHash, expiresAt, lastSeen: new Date() },
+          $push: { previousTokenHashes: oldHash }
+        },
+        { new: true }
+      ).lean();
+    },
+
+    async touch(id, lastSeen) {
+      await Session.updateOne({ _id: id }, { lastSeen });
+    },
+
+    async listByUser(userId) {
+      return Session.find({ userId, ...live() })
+        .sort({ lastSeen: -1 })
+        .lean();
+    },
+
+    async removeById(userId, id) {
+      if (!mongoose.Types.ObjectId.isValid(id)) return false;
+      const result = await Session.deleteOne({ _id: id, userId });
+      return result.deletedCount > 0;
+    },
+
+    async removeAllForUser(userId) {
+      const result = await Session.deleteMany({ userId });
+      return result.deletedCount;
+    }
+  };
+}
+
+/**
+ * In-memory store for tests and local development.
+ * Sessions are lost when the process exits.
+ */
+function createMemorySessionStore() {
+  const sessions = new Map();
+
+  const isLive = (session) => session.expiresAt > new Date();
+  const sameUser = (session, userId) => session.userId.toString() === userId.toString();
+  const find = (predicate) => {
+    for (const session of sessions.values()) {
+      if (predicate(session)) return { ...session };
+    }
+    return null;
+  };
+
+  return {
+    async create(session) {
+      const record = {
+        _id: crypto.randomBytes(12).toString('hex'),
+        createdAt: new Date(),
+        lastSeen: new Date(),
+        previousTokenHashes: [],
+        ...session
+      };
+      sessions.set(record._id, record);
+      return { ...record };
+    },
+
+    async findById(id) {
+      const session = sessions.get(id);
+      return session && isLive(session) ? { ...session } : null;
+    },
+
+    async findByTokenHash(tokenHash) {
+      return find(s => s.tokenHash === tokenHash && isLive(s));
+    },
+
+    async findByPreviousTokenHash(tokenHash) {
+      return find(s => s.previousTokenHashes.includes(tokenHash));
+    },
+
+    async rotate(id, oldHash, newHash, expiresAt) {
+      const session = sessions.get(id);
+      if (!session || session.tokenHash !== oldHash || !isLive(session)) return null;
+
+      session.previousTokenHashes = [...session.previousTokenHashes, oldHash];
+      session.tokenHash = newHash;
+      session.expiresAt = expiresAt;
+      session.lastSeen = new Date();
+      return { ...session };
+    },
+
+    async touch(id, lastSeen) {
+      const session = sessions.get(id);
+      if (session) session.lastSeen = lastSeen;
+    },
+
+    async listByUser(userId) {
+      return [...sessions.values()]
+        .filter(s => sameUser(s, userId) && isLive(s))
+        .sort((a, b) => b.lastSeen - a.lastSeen)
+        .map(s => ({ ...s }));
+    },
+
+    async removeById(userId, id) {
+      const session = sessions.get(id);
+      if (!session || !sameUser(session, userId)) return false;
+      sessions.delete(id);
+      return true;
+    },
+
+    async removeAllForUser(userId) {
+      let count = 0;
+      for (const [id, session] of sessions) {
+        if (sameUser(session, userId)) {
+          sessions.delete(id);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+const drivers = {
+  mongo: createMongoSessionStore,
+  memory: createMemorySessionStore
+};
+
+let store = null;
+
+/**
+ * Get the active session store, created from SESSION_STORE on first use
+ */
+function getSessionStore() {
+  if (!store) {
+    const driver = process.env.SESSION_STORE || 'mongo';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown session store driver: ${driver}`);
+    }
+    store = drivers[driver]();
+  }
+  return store;
+}
+
+/**
+ * Replace the active session store (e.g. with an in-memory store in tests)
+ */
+function setSessionStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  getSessionStore,
+  setSessionStore,
+  createMongoSessionStore,
+  createMemorySessionStore
+};
@@ -0,0 +1,18 @@
+/**
+ * Disconnect the sockets opened with revoked sessions
+ */
+
+/**
+ * Disconnect a user's sockets that were opened with one of `sessionIds`
+ * (all of the user's sockets when `sessionIds` is omitted)
+ */
+async function disconnectSessionSockets(io, userId, sessionIds) {
+  if (!io) return;
+
+  const sockets = await io.in(userId.toString()).fetchSockets();
+  sockets
+    .filter(socket => !sessionIds || sessionIds.includes(socket.data.sessionId))
+    .forEach(socket => socket.disconnect(true));
+}
+
+module.exports = { disconnectSessionSockets };
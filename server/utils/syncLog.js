@@ -0,0 +1,44 @@
+const SyncEvent = require('../models/SyncEvent');
+
+const SYNC_EVENT_TYPES = {
+  MESSAGE: 'message',
+  FILE: 'file'
+};
+
+// Retries when concurrent deliveries to the same recipient race for a position
+const MAX_APPEND_ATTEMPTS = 10;
+
+/**
+ * Last position in a user's sync log (0 if empty)
+ */
+async function getLastSyncSeq(recipientId) {
+  const last = await SyncEvent.findOne({ recipientId }).sort({ seq: -1 }).select('seq');
+  return last ? last.seq : 0;
+}
+
+/**
+ * Append an event for a saved message or file to its recipient's sync log and return its position
+ * The position is one past the last one stored, and the unique { recipientId, seq } index rejects
+ * a concurrent append that took the same one, which retries. So a position only becomes visible
+ * after every lower one, and a sync cursor never passes an event that is still being written.
+ */
+async function appendSyncEvent(recipientId, type, documentId) {
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const seq = await getLastSyncSeq(recipientId) + 1;
+    
+    try {
+      await SyncEvent.create({ recipientId, seq, type, documentId });
+      return seq;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  
+  throw new Error('Could not append sync event');
+}
+
+module.exports = {
+  SYNC_EVENT_TYPES,
+  getLastSyncSeq,
+  appendSyncEvent
+};
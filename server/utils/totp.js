@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+
+/**
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps)
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'Encircle';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(encoded) {
+  const clean = encoded.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random 160-bit secret (base32)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Current time step counter
+ */
+function getCurrentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP value for a given counter (RFC 4226 dynamic truncation)
+ */
+function generateCode(secret, step = getCurrentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ * Steps at or before lastUsedStep are rejected so a code cannot be used twice
+ * Returns the matched step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getCurrentStep();
+  for (const step of [current - 1, current, current + 1]) {
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ */
+function buildOtpauthUri(secret, username) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate one-time recovery codes (XXXX-XXXX, hex)
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+/**
+ * Normalize a recovery code typed by the user before hashing
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};